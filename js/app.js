@@ -32,24 +32,31 @@
  * 10) THEME + APPEARANCE
  * 11) HIGHLIGHT LABELS (Smart Highlights)
  * 12) SETTINGS + TRANSLATIONS
- * 13) IMPORTS (KJV + other translations)
+ * 13) IMPORTS (translations from the registry)
  * 14) BOOK/CHAPTER/VERSE SELECTS
  * 15) CHAPTER LOADING + VERSE SELECTION
  * 16) READER NAV (Prev/Next)
  * 17) SIDEBAR "GO" (jump to verse)
- * 18) OVERLAY (Search/Dive Deeper)
+ * 18) OVERLAY (Search/Dive Deeper/Lexicon)
  * 19) NOTES MODAL (📝)
  * 20) VERSE ACTIONS (style upsert)
  * 21) VERSE TOOLBAR (bold, underline, bookmark, highlight, notes, help)
  * 22) NOTES LIST (Notes tab)
  * 23) BOOKMARKS (Bookmarks tab)
  * 24) SEARCH (Sidebar Search pane)
- * 25) QUICK TOOLS (Bookmark chapter, Copy chapter)
- * 26) BOOT (init)
+ * 25) CONCORDANCE (word list + word view)
+ * 26) QUICK TOOLS (Bookmark chapter, Copy chapter)
+ * 27) BOOT (init)
  * =============================================================================
  */
 
-import { openDb, stores, countStore, searchTextCursor } from "./db.js";
+import { openDb, countStore, clearStore, estimateStoreSize, listChapters, getMany } from "./db.js";
+import { searchVerses, dropSearchIndex, termVerseKeys } from "./searchIndex.js";
+import { findTerms, normalizeWord } from "./searchNormalize.js";
+import { ensureConcordance, wordBooks } from "./concordance.js";
+import { searchNotes, noteSnippet } from "./noteSearch.js";
+import { parseReferences, formatReference } from "./references.js";
+import { listScopeChoices, describeScope, createScopeFilter, SCOPE_MARKS } from "./searchScope.js";
 import {
   getChapterKJV,
   getChapterNIV,
@@ -59,6 +66,12 @@ import {
   getStylesForChapter,
   listAllStyles,
   listNotes,
+  listAllNotes,
+  recordSearch,
+  listSearchHistory,
+  pinSearch,
+  deleteSearch,
+  clearSearchHistory,
   verseStyleKey,
   saveVerseStyle,
   saveSetting,
@@ -66,9 +79,34 @@ import {
   getDiveCrossrefs,
   getDiveExplain,
   getDiveTags,
+  getPackHeading,
+  HEADING_PACK_LANGUAGE,
+  getLexiconEntry,
+  loadLexicon,
+  getVersesByStrong,
 } from "./providers.js";
-import { setNetStatus, renderVerses, renderOverlayList } from "./ui.js";
-import { importKJVFromXML, importBibleFromXML } from "./importKJV.js";
+import { setNetStatus, renderVerses, renderVerseText, renderOverlayList, wordAtPoint } from "./ui.js";
+import { importTranslation, importTranslationFromFile } from "./importKJV.js";
+import {
+  checkTranslationStore,
+  describeIntegrity,
+  booksToKeep,
+  loadImportState,
+  clearImportState
+} from "./importState.js";
+import { canonBooks, listCanons } from "./books.js";
+import { mapVerse, chapterNumbers, listSchemes } from "./versification.js";
+import {
+  loadTranslationRegistry,
+  loadUserTranslations,
+  listTranslations,
+  getTranslation,
+  defaultTranslation,
+  storeForTranslation,
+  registerUserTranslation,
+  unregisterTranslation,
+  saveUserTranslations
+} from "./translations.js";
 
 /* =============================================================================
  * 1) CONFIG / CONSTANTS
@@ -76,44 +114,6 @@ import { importKJVFromXML, importBibleFromXML } from "./importKJV.js";
 
 const NIV_CONFIG = { proxyBaseUrl: "https://YOUR-DOMAIN.com/api", token: "" };
 
-// Canonical book names (must match importKJV.js mapping)
-const BOOKS = [
-  "Genesis","Exodus","Leviticus","Numbers","Deuteronomy",
-  "Joshua","Judges","Ruth","1 Samuel","2 Samuel",
-  "1 Kings","2 Kings","1 Chronicles","2 Chronicles",
-  "Ezra","Nehemiah","Esther","Job","Psalms","Proverbs",
-  "Ecclesiastes","Song of Solomon","Isaiah","Jeremiah","Lamentations",
-  "Ezekiel","Daniel","Hosea","Joel","Amos","Obadiah","Jonah","Micah",
-  "Nahum","Habakkuk","Zephaniah","Haggai","Zechariah","Malachi",
-  "Matthew","Mark","Luke","John","Acts","Romans","1 Corinthians","2 Corinthians",
-  "Galatians","Ephesians","Philippians","Colossians","1 Thessalonians","2 Thessalonians",
-  "1 Timothy","2 Timothy","Titus","Philemon","Hebrews","James","1 Peter","2 Peter",
-  "1 John","2 John","3 John","Jude","Revelation"
-];
-
-const CHAPTER_COUNTS = {
-  "Genesis":50,"Exodus":40,"Leviticus":27,"Numbers":36,"Deuteronomy":34,
-  "Joshua":24,"Judges":21,"Ruth":4,"1 Samuel":31,"2 Samuel":24,
-  "1 Kings":22,"2 Kings":25,"1 Chronicles":29,"2 Chronicles":36,
-  "Ezra":10,"Nehemiah":13,"Esther":10,"Job":42,"Psalms":150,"Proverbs":31,
-  "Ecclesiastes":12,"Song of Solomon":8,"Isaiah":66,"Jeremiah":52,"Lamentations":5,
-  "Ezekiel":48,"Daniel":12,"Hosea":14,"Joel":3,"Amos":9,"Obadiah":1,"Jonah":4,"Micah":7,
-  "Nahum":3,"Habakkuk":3,"Zephaniah":3,"Haggai":2,"Zechariah":14,"Malachi":4,
-  "Matthew":28,"Mark":16,"Luke":24,"John":21,"Acts":28,"Romans":16,"1 Corinthians":16,"2 Corinthians":13,
-  "Galatians":6,"Ephesians":6,"Philippians":4,"Colossians":4,"1 Thessalonians":5,"2 Thessalonians":3,
-  "1 Timothy":6,"2 Timothy":4,"Titus":3,"Philemon":1,"Hebrews":13,"James":5,"1 Peter":5,"2 Peter":3,
-  "1 John":5,"2 John":1,"3 John":1,"Jude":1,"Revelation":22
-};
-
-const TRANSLATIONS = [
-  { id: "KJV", label: "KJV (English)", xml: "./data/EnglishKJBible.xml", store: () => stores().KJV_VERSES },
-  { id: "ESV", label: "ESV (English)", xml: "./data/EnglishESVBible.xml", store: () => stores().ESV_VERSES },
-  { id: "NIV", label: "NIV (English)", xml: "./data/EnglishNIVBible.xml", store: () => stores().NIV_VERSES },
-  { id: "AMP", label: "AMP (English)", xml: "./data/EnglishAmplifiedBible.xml", store: () => stores().AMP_VERSES },
-  { id: "AMPC", label: "AMPC (English)", xml: "./data/EnglishAmplifiedClassicBible.xml", store: () => stores().AMPC_VERSES },
-  { id: "NVI-ES", label: "NVI (Español)", xml: "./data/SpanishNVIBible.xml", store: () => stores().NVI_ES_VERSES }
-];
-
 /* ------------------------------ Timeline Data ------------------------------ */
 
 const TIMELINE_ERAS = [
@@ -206,6 +206,12 @@ const DEFAULT_HL_LABELS = {
   sky: "Fulfillment"
 };
 
+/* ------------------------------- Reader display ------------------------------- */
+
+// "prose" runs verses together as paragraphs; "interlinear" stacks the
+// original word, transliteration, morphology and gloss of tagged texts
+const READER_DISPLAYS = ["verses", "prose", "interlinear"];
+
 /* =============================================================================
  * 2) STATE
  * ============================================================================= */
@@ -219,8 +225,26 @@ const state = {
   stylesMap: new Map(),
   selected: null,
   selectedKey: "",
+  // [from, to] verses of an opened reference range in the loaded chapter
+  selectedRange: null,
   notesFilter: "recent",
 
+  // Section headings of the loaded chapter (see chapterHeadings())
+  headings: new Map(),
+  showHeadings: true,
+  showStrongs: true,
+
+  // Reader display mode (READER_DISPLAYS); lexicon is loaded for "interlinear"
+  display: "verses",
+  lexicon: null,
+
+  // Chapters in the current translation's store: Map(book -> Set(chapter)),
+  // null until it has verses
+  bookChapters: null,
+
+  // AbortController of the running import (null when idle)
+  importing: null,
+
   // Smart Highlights
   highlightFilter: "all",
   hlLabels: { ...DEFAULT_HL_LABELS }
@@ -370,8 +394,9 @@ function ensureSelected() {
 function updateSelectionChip() {
   const chip = $("selChip");
   if (!chip) return;
+  const range = state.selectedRange;
   chip.textContent = state.selected
-    ? `${state.book} ${state.chapter}:${state.selected.verse}`
+    ? `${state.book} ${state.chapter}:${range ? `${range[0]}–${range[1]}` : state.selected.verse}`
     : "No verse selected";
 }
 
@@ -634,15 +659,34 @@ function applyReaderFontSize(px) {
   document.documentElement.style.setProperty("--reader-font-size", `${safe}px`);
 }
 
+// Inline markup toggles: CSS reads data-red-letter / data-italics on <html>
+function applyReaderMarkup(redLetter, italics) {
+  document.documentElement.dataset.redLetter = redLetter ? "on" : "off";
+  document.documentElement.dataset.italics = italics ? "on" : "off";
+}
+
 async function restoreAppearanceSettings() {
   const variant = (await loadSetting(state.db, "themeVariant")) || "blue";
   const fontPx = (await loadSetting(state.db, "readerFontPx")) || "14";
+  const redLetter = (await loadSetting(state.db, "redLetter")) !== "0";
+  const italics = (await loadSetting(state.db, "italics")) !== "0";
+  state.showHeadings = (await loadSetting(state.db, "headings")) !== "0";
+  state.showStrongs = (await loadSetting(state.db, "strongs")) !== "0";
+  const display = await loadSetting(state.db, "readerDisplay");
+  state.display = READER_DISPLAYS.includes(display) ? display : "verses";
+  if (state.display === "interlinear") state.lexicon = await loadLexicon();
 
   applyAccentVariant(variant);
   applyReaderFontSize(fontPx);
+  applyReaderMarkup(redLetter, italics);
 
   if ($("themeVariantSelect")) $("themeVariantSelect").value = variant;
   if ($("fontSizeSelect")) $("fontSizeSelect").value = String(fontPx);
+  if ($("redLetterToggle")) $("redLetterToggle").checked = redLetter;
+  if ($("italicsToggle")) $("italicsToggle").checked = italics;
+  if ($("headingsToggle")) $("headingsToggle").checked = state.showHeadings;
+  if ($("strongsToggle")) $("strongsToggle").checked = state.showStrongs;
+  syncDisplayButtons();
 }
 
 /* =============================================================================
@@ -705,6 +749,13 @@ function populateHighlightFilterUI() {
   setOptText("sky", hlLabel("sky"));
 
   if (!sel.value) sel.value = "all";
+
+  // Notes search color filter
+  const notesSel = $("notesColorFilter");
+  for (const c of Object.keys(DEFAULT_HL_LABELS)) {
+    const o = notesSel?.querySelector(`option[value="${c}"]`);
+    if (o) o.textContent = hlLabel(c);
+  }
 }
 
 /* =============================================================================
@@ -715,17 +766,17 @@ function openSettings() { if ($("settingsModal")) $("settingsModal").hidden = fa
 function closeSettings() { if ($("settingsModal")) $("settingsModal").hidden = true; }
 
 function translationMeta(id) {
-  return TRANSLATIONS.find(t => t.id === id) || TRANSLATIONS[0];
+  return getTranslation(id) || defaultTranslation();
 }
 
 async function updateBottomBarForTranslation() {
   const meta = translationMeta(state.translation);
 
-  if ($("sbTranslation")) $("sbTranslation").textContent = meta.id;
-  if ($("sbMode")) $("sbMode").textContent = meta.mode || "Offline";
+  if ($("sbTranslation")) $("sbTranslation").textContent = meta?.id || state.translation;
+  if ($("sbMode")) $("sbMode").textContent = meta?.mode || "Offline";
 
   try {
-    const storeName = meta.store ? meta.store() : "";
+    const storeName = meta?.store || "";
     const count = storeName ? await countStore(state.db, storeName) : 0;
     if ($("dbStatus")) {
       $("dbStatus").textContent = storeName
@@ -737,45 +788,37 @@ async function updateBottomBarForTranslation() {
   }
 }
 
-function populateTranslationSelect() {
+function renderTranslationOptions() {
   const sel = $("translationSelect");
   if (!sel) return;
 
-  sel.innerHTML = TRANSLATIONS
-    .map(t => `<option value="${t.id}">${t.label}</option>`)
-    .join("");
+  sel.innerHTML = "";
+  for (const t of listTranslations()) {
+    const o = document.createElement("option");
+    o.value = t.id;
+    o.textContent = t.label;
+    sel.appendChild(o);
+  }
 
   sel.value = state.translation;
-
-  sel.addEventListener("change", async () => {
-    await setTranslation(sel.value);
-  });
 }
 
-async function ensureTranslationImported(translationId) {
-  const meta = translationMeta(translationId);
-
-  if (translationId === "KJV") {
-    await ensureKJVImported();
-    return;
-  }
+function populateTranslationSelect() {
+  const sel = $("translationSelect");
+  if (!sel) return;
 
-  const storeName = meta.store();
-  const count = await countStore(state.db, storeName);
-  if (count > 0) return;
+  renderTranslationOptions();
 
-  dialog?.show({ title: "Importing", message: `Importing ${meta.id}...` });
-  await importBibleFromXML(meta.xml, storeName, (n) => {
-    toast(`Importing ${meta.id}… ${n.toLocaleString()} verses`);
+  sel.addEventListener("change", async () => {
+    await setTranslation(sel.value);
   });
-  toast(`${meta.id} imported.`);
 }
 
 function setTranslationHint() {
   if ($("translationHint")) {
     const meta = translationMeta(state.translation);
     $("translationHint").textContent =
-      `${meta.label} is stored locally for full offline reading.`;
+      `${meta?.label || state.translation} is stored locally for full offline reading.`;
   }
 
   if ($("sbTranslation")) $("sbTranslation").textContent = state.translation;
@@ -783,6 +826,14 @@ function setTranslationHint() {
 }
 
 async function setTranslation(t) {
+  // The same passage in the new translation's verse numbering
+  const ref = mapVerse(
+    { book: state.book, chapter: state.chapter, verse: state.selected?.verse || 1 },
+    translationMeta(state.translation)?.versification,
+    translationMeta(t)?.versification
+  );
+  const selectAfter = !!state.selected || ref.verse > 1;
+
   state.translation = t;
   await saveSetting(state.db, "translation", t);
 
@@ -796,13 +847,21 @@ async function setTranslation(t) {
 
   await updateBottomBarForTranslation();
   await ensureTranslationImported(t);
-  await openChapter(state.book, state.chapter);
+
+  state.book = ref.book;
+  state.chapter = ref.chapter;
+  await refreshBookSelects();
+
+  // The book may not exist in the new translation (e.g. Tobit in a 66-book Bible)
+  const found = state.book === ref.book && state.chapter === ref.chapter;
+  await openVerse({ ...ref, book: state.book, chapter: state.chapter }, { select: selectAfter && found });
 }
 
 function setupSettings() {
   on("settingsBtn", "click", () => {
     populateHighlightLabelsUI();
     openSettings();
+    renderTranslationManager();
   });
   on("settingsCloseBtn", "click", closeSettings);
 
@@ -813,6 +872,7 @@ function setupSettings() {
   }
 
   populateTranslationSelect();
+  setupUserTranslationImport();
 
   // Old translation tab support
   const hasOldTabs = !!$("tabKJV") || !!$("tabNIV");
@@ -837,6 +897,28 @@ function setupSettings() {
     });
   }
 
+  const onMarkupToggle = async () => {
+    const redLetter = !!$("redLetterToggle")?.checked;
+    const italics = !!$("italicsToggle")?.checked;
+    applyReaderMarkup(redLetter, italics);
+    await saveSetting(state.db, "redLetter", redLetter ? "1" : "0");
+    await saveSetting(state.db, "italics", italics ? "1" : "0");
+  };
+  on("redLetterToggle", "change", onMarkupToggle);
+  on("italicsToggle", "change", onMarkupToggle);
+
+  on("headingsToggle", "change", async () => {
+    state.showHeadings = !!$("headingsToggle")?.checked;
+    renderReader();
+    await saveSetting(state.db, "headings", state.showHeadings ? "1" : "0");
+  });
+
+  on("strongsToggle", "change", async () => {
+    state.showStrongs = !!$("strongsToggle")?.checked;
+    renderReader();
+    await saveSetting(state.db, "strongs", state.showStrongs ? "1" : "0");
+  });
+
   if ($("saveHlLabelsBtn")) {
     $("saveHlLabelsBtn").addEventListener("click", async () => {
       await saveHighlightLabelsFromUI();
@@ -855,37 +937,552 @@ function setupSettings() {
 }
 
 /* =============================================================================
- * 13) IMPORTS (KJV + other translations)
+ * 13) IMPORTS (translations from the registry)
  * ============================================================================= */
 
-async function ensureKJVImported() {
-  const count = await countStore(state.db, stores().KJV_VERSES);
+/**
+ * Imports a translation on first use. A store that is only partly imported
+ * is reported instead (with a resume/repair offer unless offer is false).
+ */
+async function ensureTranslationImported(translationId, { offer = true } = {}) {
+  const meta = translationMeta(translationId);
+  if (!meta) return;
+
+  const count = await countStore(state.db, meta.store);
   if (count > 0) {
-    if ($("dbStatus")) $("dbStatus").textContent = `KJV imported (${count.toLocaleString()} verses)`;
+    const report = await checkTranslationStore(state.db, meta);
+    if (report.status === "ok") {
+      setImportStatus(`${meta.id} imported (${count.toLocaleString()} verses)`);
+    } else {
+      setImportStatus(`${meta.id} ${report.status === "incomplete" ? "partly imported" : "needs repair"}`);
+      if (offer) offerRepair([report]);
+    }
+    return;
+  }
+
+  // User translations have no URL to re-import from
+  if (!meta.file) {
+    if ($("dbStatus")) $("dbStatus").textContent = `${meta.id} has no verses (add it again from a file)`;
+    return;
+  }
+
+  let result;
+  try {
+    result = await runImportTask(meta, (onProgress, signal) => importTranslation(meta, onProgress, { signal }));
+  } catch (err) {
+    if (err?.name !== "AbortError") throw err;
+    setImportStatus(`${meta.id} import cancelled`);
+    toast(`${meta.id} import cancelled.`);
+    return;
+  }
+
+  setImportStatus(`${meta.id} imported (${result.books} books, ${result.verses.toLocaleString()} verses)`);
+  toast(`${meta.id} imported.`);
+
+  const summary = importSummaryText(result);
+  if (summary) dialog?.show({ title: `${meta.id} Import Summary`, message: summary });
+}
+
+function setImportStatus(message, cancellable = false) {
+  if ($("dbStatus")) $("dbStatus").textContent = message;
+  if ($("importCancelBtn")) $("importCancelBtn").hidden = !cancellable;
+}
+
+/**
+ * Runs one import at a time with progress in the status bar and the
+ * status bar Cancel button wired to it. Starting another import cancels
+ * the running one. run(onProgress, signal) returns the importer's promise.
+ */
+async function runImportTask(meta, run) {
+  state.importing?.abort();
+  const controller = new AbortController();
+  state.importing = controller;
+
+  setImportStatus(`Importing ${meta.id}…`, true);
+  try {
+    return await run((verses, percent) => {
+      if (state.importing !== controller) return;
+      const pct = percent == null ? "" : ` (${percent}%)`;
+      setImportStatus(`Importing ${meta.id}… ${verses.toLocaleString()} verses${pct}`, true);
+    }, controller.signal);
+  } finally {
+    if (state.importing === controller) {
+      state.importing = null;
+      if ($("importCancelBtn")) $("importCancelBtn").hidden = true;
+    }
+  }
+}
+
+function setupImportCancel() {
+  on("importCancelBtn", "click", () => state.importing?.abort());
+}
+
+/**
+ * Human-readable warnings from an importer result ("" when there are none).
+ */
+function importSummaryText(result) {
+  const parts = [];
+
+  if (result?.unknownBooks?.length) {
+    parts.push(`Skipped unknown books: ${result.unknownBooks.join(", ")}.`);
+  }
+
+  if (result?.unknownMarkers?.length) {
+    const list = result.unknownMarkers.map((m) => {
+      const where = m.lines?.length ? ` (line ${m.lines.join(", ")})` : "";
+      return `${m.marker} ×${m.count}${where}`;
+    });
+    parts.push(`Unknown markers kept as text: ${list.join("; ")}.`);
+  }
+
+  if (result?.missingChapters?.length) {
+    const list = result.missingChapters.map(m => `${m.book} ${m.chapters.join(", ")}`);
+    parts.push(`Chapters not in the file: ${list.join("; ")}.`);
+  }
+
+  if (result?.badLines?.count) {
+    const where = result.badLines.lines.length ? ` (line ${result.badLines.lines.join(", ")})` : "";
+    parts.push(`Skipped ${result.badLines.count.toLocaleString()} unreadable line(s)${where}.`);
+  }
+
+  return parts.join(" ");
+}
+
+/* ----------------------------- Import integrity ----------------------------- */
+
+/**
+ * Checks every translation with verses against its import record (see
+ * importState.js) and offers to resume/repair the ones that fail.
+ */
+async function checkImportedTranslations() {
+  const reports = [];
+  for (const meta of listTranslations()) {
+    try {
+      const report = await checkTranslationStore(state.db, meta);
+      if (report.status === "incomplete" || report.status === "corrupt") reports.push(report);
+    } catch (err) {
+      setImportStatus(`${meta.id} could not be checked: ${err?.message || err}`);
+    }
+  }
+  if (reports.length) offerRepair(reports);
+}
+
+function offerRepair(reports) {
+  const fromUrl = reports.filter(r => getTranslation(r.id)?.file);
+  const fromFile = reports.filter(r => !getTranslation(r.id)?.file);
+
+  const actions = [];
+  if (fromUrl.length) {
+    const resumeOnly = fromUrl.every(r => r.status === "incomplete");
+    actions.push({ text: resumeOnly ? "Resume" : "Repair", primary: true, onClick: () => repairTranslations(fromUrl) });
+  }
+  // Picking a file needs a click of its own for each translation
+  for (const r of fromFile) {
+    actions.push({ text: `Choose File for ${r.id}…`, primary: !fromUrl.length, onClick: () => chooseRepairFile(r) });
+  }
+  actions.push({ text: "Later" });
+
+  const hint = fromFile.length
+    ? "Books that are already complete are kept. Translations added from a file need that file again."
+    : "Books that are already complete are kept.";
+
+  dialog?.show({
+    title: reports.length === 1 ? "Translation Not Fully Imported" : "Translations Not Fully Imported",
+    message: `${reports.map(describeIntegrity).join("\n")}\n\n${hint}`,
+    actions
+  });
+}
+
+/**
+ * Re-imports what a report found missing. files is only needed for user
+ * translations (they have no URL). Returns false if it did not finish.
+ */
+async function repairTranslation(report, files = null) {
+  const meta = getTranslation(report.id);
+  if (!meta) return false;
+
+  const keepBooks = booksToKeep(report);
+  try {
+    const result = await runImportTask(meta, (onProgress, signal) => files
+      ? importTranslationFromFile(meta, files, onProgress, { signal, keepBooks })
+      : importTranslation(meta, onProgress, { signal, keepBooks }));
+
+    setImportStatus(`${meta.id} imported (${result.books} books, ${result.verses.toLocaleString()} verses)`);
+    toast(`${meta.id} repaired.`);
+    await renderTranslationManager();
+    if (meta.id === state.translation) await reopenReader();
+    return true;
+  } catch (err) {
+    if (err?.name === "AbortError") {
+      setImportStatus(`${meta.id} import cancelled`);
+      return false;
+    }
+    setImportStatus(`${meta.id} repair failed`);
+    popupMessage("Repair Failed", `${meta.id}: ${err?.message || err}`);
+    return false;
+  }
+}
+
+async function repairTranslations(reports) {
+  for (const report of reports) {
+    if (!(await repairTranslation(report))) break;
+  }
+}
+
+/**
+ * Opens the shared hidden file picker; onPicked(files) once files are chosen.
+ * Must run inside a click handler (browsers block pickers otherwise).
+ */
+function pickBibleFiles(onPicked) {
+  const input = $("bibleFilePicker");
+  if (!input) return;
+  input.value = "";
+  input.onchange = () => {
+    if (input.files?.length) onPicked(input.files);
+  };
+  input.click();
+}
+
+function chooseRepairFile(report) {
+  pickBibleFiles(files => repairTranslation(report, files));
+}
+
+/* ---------------------------- Translation manager ---------------------------- */
+
+function formatBytes(n) {
+  if (!Number.isFinite(n) || n <= 0) return "0 KB";
+  const units = ["bytes", "KB", "MB", "GB"];
+  let i = 0;
+  while (n >= 1024 && i < units.length - 1) {
+    n /= 1024;
+    i++;
+  }
+  return `${n >= 10 || i === 0 ? Math.round(n) : n.toFixed(1)} ${units[i]}`;
+}
+
+async function installedTranslations() {
+  const out = [];
+  for (const meta of listTranslations()) {
+    try {
+      const size = await estimateStoreSize(state.db, meta.store);
+      if (size.count) out.push({ meta, size, record: await loadImportState(state.db, meta.id) });
+    } catch {
+      // store not created yet
+    }
+  }
+  return out;
+}
+
+async function renderStorageQuota() {
+  const el = $("storageQuota");
+  if (!el) return;
+
+  if (!navigator.storage?.estimate) {
+    el.textContent = "This browser does not report storage usage.";
     return;
   }
 
-  if ($("dbStatus")) $("dbStatus").textContent = "Importing KJV…";
-  const result = await importKJVFromXML("./data/EnglishKJBible.xml", (n) => {
-    if ($("dbStatus")) $("dbStatus").textContent = `Importing… ${n.toLocaleString()} verses`;
+  try {
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    const pct = quota ? ` (${Math.round(usage * 100 / quota)}%)` : "";
+    el.textContent = `Storage: ${formatBytes(usage)} used of ${formatBytes(quota)} available to this app${pct}.`;
+  } catch {
+    el.textContent = "";
+  }
+}
+
+/**
+ * Settings → Installed Translations: one row per translation with verses,
+ * with re-import / update from file / delete.
+ */
+async function renderTranslationManager() {
+  const list = $("translationManagerList");
+  if (!list) return;
+
+  const installed = await installedTranslations();
+  list.innerHTML = "";
+
+  if (!installed.length) {
+    const empty = document.createElement("div");
+    empty.className = "hint";
+    empty.style.marginTop = "0";
+    empty.textContent = "No translations imported yet.";
+    list.appendChild(empty);
+  }
+
+  for (const { meta, size, record } of installed) {
+    const item = document.createElement("div");
+    item.className = "list-item";
+
+    const title = document.createElement("div");
+    title.className = "list-title";
+    title.textContent = meta.source === "user" ? `${meta.label} · added from a file` : meta.label;
+
+    const parts = [
+      `${size.count.toLocaleString()} verses`,
+      `~${formatBytes(size.bytes)}`
+    ];
+    const when = record?.finishedAt || (record?.status === "complete" ? record.updatedAt : 0);
+    parts.push(when ? `imported ${new Date(when).toLocaleDateString()}` : "import date unknown");
+    if (record && record.status !== "complete") parts.push(`import ${record.status === "running" ? "interrupted" : record.status}`);
+
+    const sub = document.createElement("div");
+    sub.className = "list-sub";
+    sub.textContent = parts.join(" · ");
+
+    const actions = document.createElement("div");
+    actions.className = "list-actions";
+
+    const addAction = (text, onClick, cls = "btn") => {
+      const b = document.createElement("button");
+      b.className = cls;
+      b.textContent = text;
+      b.addEventListener("click", onClick);
+      actions.appendChild(b);
+    };
+
+    if (meta.file) addAction("Re-import", () => reimportTranslation(meta));
+    addAction("Update From File…", () => pickBibleFiles(files => updateTranslationFromFile(meta, files)));
+    addAction("Delete", () => confirmDeleteTranslation(meta), "btn danger");
+
+    item.appendChild(title);
+    item.appendChild(sub);
+    item.appendChild(actions);
+    list.appendChild(item);
+  }
+
+  await renderStorageQuota();
+}
+
+/**
+ * Replacing import shared by re-import and update: the old verses stay
+ * readable until the new ones are complete (see runImport() "replace").
+ */
+async function replaceTranslation(meta, run, doneText) {
+  try {
+    const result = await runImportTask(meta, run);
+    setImportStatus(`${meta.id} imported (${result.books} books, ${result.verses.toLocaleString()} verses)`);
+    toast(doneText);
+
+    const summary = importSummaryText(result);
+    if (summary) dialog?.show({ title: `${meta.id} Import Summary`, message: summary });
+
+    if (meta.id === state.translation) await reopenReader();
+    return result;
+  } catch (err) {
+    if (err?.name === "AbortError") {
+      setImportStatus(`${meta.id} import cancelled`);
+    } else {
+      setImportStatus(`${meta.id} import failed`);
+      popupMessage("Import Failed", `${meta.id} was left as it was. ${err?.message || err}`);
+    }
+    return null;
+  } finally {
+    await renderTranslationManager();
+  }
+}
+
+async function reimportTranslation(meta) {
+  await replaceTranslation(meta,
+    (onProgress, signal) => importTranslation(meta, onProgress, { signal, replace: true }),
+    `${meta.id} re-imported.`);
+}
+
+async function updateTranslationFromFile(meta, files) {
+  const result = await replaceTranslation(meta,
+    (onProgress, signal) => importTranslationFromFile({ ...meta, format: "auto" }, files, onProgress, { signal, replace: true }),
+    `${meta.id} updated.`);
+
+  if (result && meta.source === "user" && result.format) {
+    meta.format = result.format;
+    await saveUserTranslations(state.db);
+  }
+}
+
+function confirmDeleteTranslation(meta) {
+  const again = meta.file
+    ? "It is imported again the next time you open it."
+    : "To use it again, add it from its file.";
+
+  dialog?.show({
+    title: `Delete ${meta.id}?`,
+    message: `This removes the verses of ${meta.label} from this device. ${again} Bookmarks, highlights and notes are kept.`,
+    actions: [
+      { text: "Delete", primary: true, onClick: () => deleteTranslation(meta) },
+      { text: "Cancel" }
+    ]
   });
+}
+
+async function deleteTranslation(meta) {
+  if (state.importing) {
+    popupMessage("Import Running", "Wait for the running import to finish (or cancel it) first.");
+    return;
+  }
+
+  try {
+    await clearStore(state.db, meta.store);
+    await clearImportState(state.db, meta.id);
+    await dropSearchIndex(state.db, meta.id);
+
+    if (meta.source === "user") {
+      unregisterTranslation(meta.id);
+      await saveUserTranslations(state.db);
+      renderTranslationOptions();
+    }
+
+    toast(`${meta.id} deleted.`);
+
+    // Move the reader to a translation that is still installed
+    if (meta.id === state.translation) {
+      const next = (await installedTranslations())[0]?.meta || defaultTranslation();
+      if (next && next.id !== meta.id) await setTranslation(next.id);
+      else await reopenReader();
+    }
+  } catch (err) {
+    popupMessage("Delete Failed", err?.message || String(err));
+  } finally {
+    await renderTranslationManager();
+  }
+}
+
+/* ------------------------- Add translation from file ------------------------- */
 
-  if ($("dbStatus")) {
-    $("dbStatus").textContent =
-      `KJV imported (${result.books} books, ${result.verses.toLocaleString()} verses)`;
+function setUserBibleStatus(message) {
+  if ($("userBibleStatus")) $("userBibleStatus").textContent = message || "";
+}
+
+async function addTranslationFromFile() {
+  const files = $("userBibleFile")?.files || null;
+  const id = ($("userBibleId")?.value || "").trim();
+  const label = ($("userBibleLabel")?.value || "").trim() || id;
+  const language = ($("userBibleLanguage")?.value || "").trim() || "en";
+  const format = $("userBibleFormat")?.value || "auto";
+  const versification = $("userBibleVersification")?.value || "";
+  const canon = $("userBibleCanon")?.value || "";
+
+  if (!files || !files.length) {
+    setUserBibleStatus("Choose a Bible file first.");
+    return;
+  }
+
+  let meta = null;
+  try {
+    meta = registerUserTranslation({ id, label, language, format, versification, canon });
+  } catch (err) {
+    setUserBibleStatus(err?.message || String(err));
+    return;
+  }
+
+  if ($("addUserBibleBtn")) $("addUserBibleBtn").disabled = true;
+
+  try {
+    // Registering added a verse store; reopening upgrades the schema
+    state.db = await openDb();
+
+    setUserBibleStatus(`Importing ${meta.id}… (progress in the status bar)`);
+    const result = await runImportTask(meta, (onProgress, signal) =>
+      importTranslationFromFile(meta, files, onProgress, { signal }));
+    setImportStatus(`${meta.id} imported (${result.books} books, ${result.verses.toLocaleString()} verses)`);
+
+    // Remember what "auto" resolved to
+    if (result.format) meta.format = result.format;
+
+    await saveUserTranslations(state.db);
+    renderTranslationOptions();
+    await renderTranslationManager();
+
+    const summary = importSummaryText(result);
+    setUserBibleStatus(`${meta.id} added (${result.books} books, ${result.verses.toLocaleString()} verses). ${summary}`.trim());
+    for (const elId of ["userBibleFile", "userBibleId", "userBibleLabel", "userBibleLanguage"]) {
+      if ($(elId)) $(elId).value = "";
+    }
+
+    dialog?.show({
+      title: "Translation Added",
+      message: `${meta.label} is now available in the translation list.`,
+      actions: [
+        { text: "Read Now", primary: true, onClick: () => setTranslation(meta.id) },
+        { text: "Later" }
+      ]
+    });
+  } catch (err) {
+    unregisterTranslation(meta.id);
+    try {
+      await clearStore(state.db, meta.store);
+      await clearImportState(state.db, meta.id);
+      await dropSearchIndex(state.db, meta.id);
+    } catch { /* store may not exist */ }
+    if (err?.name === "AbortError") {
+      setImportStatus(`${meta.id} import cancelled`);
+      setUserBibleStatus(`Import of ${meta.id} was cancelled.`);
+    } else {
+      setImportStatus(`${meta.id} import failed`);
+      setUserBibleStatus(`Could not import ${meta.id}: ${err?.message || err}`);
+    }
+  } finally {
+    if ($("addUserBibleBtn")) $("addUserBibleBtn").disabled = false;
+  }
+}
+
+function fillSelect(id, items) {
+  const sel = $(id);
+  if (!sel) return;
+  sel.innerHTML = "";
+  for (const item of items) {
+    const o = document.createElement("option");
+    o.value = item.id;
+    o.textContent = item.label;
+    sel.appendChild(o);
   }
 }
 
+function setupUserTranslationImport() {
+  fillSelect("userBibleVersification", listSchemes());
+  fillSelect("userBibleCanon", listCanons());
+
+  on("addUserBibleBtn", "click", addTranslationFromFile);
+}
+
 /* =============================================================================
  * 14) BOOK/CHAPTER/VERSEx SELECTS
  * ============================================================================= */
 
-function maxChaptersForBook(book) {
-  return CHAPTER_COUNTS[book] || 50;
+/**
+ * Books of the current translation, in its canon's order. Once the store has
+ * verses only the books it contains are listed.
+ */
+function availableBooks() {
+  return canonBooks(translationMeta(state.translation)?.canon, state.bookChapters);
 }
 
-function populateBooks() {
-  const html = BOOKS.map(b => `<option value="${b}">${b}</option>`).join("");
+function chaptersForBook(book) {
+  const have = state.bookChapters?.get(book);
+  if (have && have.size) return Array.from(have).sort((a, b) => a - b);
+  return chapterNumbers(book, translationMeta(state.translation)?.versification);
+}
+
+/**
+ * Re-reads which books/chapters the current translation has and refills the
+ * selects. Moves the reader to the first book if the current one is missing.
+ */
+async function refreshBookSelects() {
+  const meta = translationMeta(state.translation);
+  const present = meta ? await listChapters(state.db, meta.store) : new Map();
+  state.bookChapters = present.size ? present : null;
+
+  const books = availableBooks();
+  if (!books.includes(state.book)) {
+    state.book = books[0] || "Genesis";
+    state.chapter = chaptersForBook(state.book)[0] || 1;
+  }
+
+  renderBookOptions();
+  populateChapters();
+}
+
+function renderBookOptions() {
+  const html = availableBooks().map(b => `<option value="${b}">${b}</option>`).join("");
 
   if ($("bookSelect")) $("bookSelect").innerHTML = html;
   if ($("topBookSelect")) $("topBookSelect").innerHTML = html;
@@ -893,9 +1490,15 @@ function populateBooks() {
   if ($("bookSelect")) $("bookSelect").value = state.book;
   if ($("topBookSelect")) $("topBookSelect").value = state.book;
 
+  renderSearchScopeOptions();
+}
+
+function populateBooks() {
+  renderBookOptions();
+
   const onBookChanged = async (value) => {
     state.book = value;
-    state.chapter = 1;
+    state.chapter = chaptersForBook(value)[0] || 1;
     populateChapters();
     await openChapter(state.book, state.chapter);
     if (isMobileLayout()) document.body.classList.remove("sidebar-drawer-open");
@@ -906,13 +1509,12 @@ function populateBooks() {
 }
 
 function populateChapters() {
-  const max = maxChaptersForBook(state.book);
-  const options =
-    Array.from({ length: max }, (_, i) => i + 1)
-      .map(n => `<option value="${n}">${n}</option>`)
-      .join("");
+  const chapters = chaptersForBook(state.book);
+  const options = chapters.map(n => `<option value="${n}">${n}</option>`).join("");
 
-  if (state.chapter > max) state.chapter = max;
+  if (chapters.length && !chapters.includes(state.chapter)) {
+    state.chapter = state.chapter > chapters[chapters.length - 1] ? chapters[chapters.length - 1] : chapters[0];
+  }
 
   if ($("chapterSelect")) $("chapterSelect").innerHTML = options;
   if ($("topChapterSelect")) $("topChapterSelect").innerHTML = options;
@@ -945,20 +1547,6 @@ function setVerseDropdownOptions(maxVerse) {
  * 15) CHAPTER LOADING + VERSE SELECTION
  * ============================================================================= */
 
-function storeForSearch(translationId) {
-  const id = String(translationId || "").toUpperCase();
-  switch (id) {
-    case "KJV": return stores().KJV_VERSES;
-    case "ESV": return stores().ESV_VERSES;
-    case "NIV": return stores().NIV_VERSES;
-    case "AMP": return stores().AMP_VERSES;
-    case "AMPC": return stores().AMPC_VERSES;
-    case "NVI-ES":
-    case "NVI_ES": return stores().NVI_ES_VERSES;
-    default: return stores().KJV_VERSES;
-  }
-}
-
 async function openChapter(book, chapter) {
   state.book = book;
   state.chapter = chapter;
@@ -975,6 +1563,7 @@ async function openChapter(book, chapter) {
 
   state.selected = null;
   state.selectedKey = "";
+  state.selectedRange = null;
   updateSelectionChip();
 
   let verses = [];
@@ -1013,33 +1602,118 @@ async function openChapter(book, chapter) {
   }));
 
   state.verses = merged;
+  state.headings = await chapterHeadings(merged);
+  syncOutlineButton();
 
-  const versesEl = $("verses");
-  if (versesEl) {
-    renderVerses(versesEl, merged, {
-      selectedKey: state.selectedKey,
-      onSelect: (v) => selectVerse(v)
-    });
-  }
+  renderReader();
 
   syncToolbarActiveStates();
 }
 
-function selectVerse(v) {
-  const key = `${v.book}|${v.chapter}|${v.verse}`;
+// Reference headings (parallel passages) are not outline entries
+const OUTLINE_SKIP = new Set(["parallel", "section-reference", "major-reference"]);
 
-  if (state.selectedKey && key === state.selectedKey) {
-    state.selected = null;
-    state.selectedKey = "";
-    updateSelectionChip();
+/**
+ * Headings of the loaded chapter: Map(verse -> [{ type, level?, text }]).
+ * The translation's own headings (row.titles) win; a chapter without any
+ * gets the heading pack, when the pack's language matches.
+ */
+async function chapterHeadings(verses) {
+  const own = new Map();
+  for (const v of verses) {
+    if (v.titles && v.titles.length) own.set(v.verse, v.titles);
+  }
+  if (own.size) return own;
 
-    const versesEl = $("verses");
-    if (versesEl) {
-      renderVerses(versesEl, state.verses, {
-        selectedKey: "",
-        onSelect: (vv) => selectVerse(vv)
-      });
-    }
+  const meta = translationMeta(state.translation);
+  if (!String(meta?.language || "en").startsWith(HEADING_PACK_LANGUAGE)) return own;
+
+  const pack = new Map();
+  for (const v of verses) {
+    // The pack uses KJV numbering
+    const k = mapVerse(v, meta?.versification, "kjv");
+    const text = await getPackHeading(k.book, k.chapter, k.verse);
+    if (text) pack.set(v.verse, [{ type: "section", text }]);
+  }
+  return pack;
+}
+
+function renderReader() {
+  const versesEl = $("verses");
+  if (!versesEl) return;
+
+  renderVerses(versesEl, state.verses, {
+    selectedKey: state.selectedKey,
+    range: state.selectedRange,
+    headings: state.showHeadings ? state.headings : null,
+    prose: state.display === "prose",
+    interlinear: state.display === "interlinear" ? state.lexicon || {} : null,
+    onSelect: (v) => selectVerse(v),
+    onWord: state.showStrongs ? (v, strongs) => openLexicon(v, strongs) : null
+  });
+}
+
+/**
+ * Reloads the current chapter after the translation's verses changed
+ * (repair, re-import, delete); its book list may have changed too.
+ */
+async function reopenReader() {
+  await refreshBookSelects();
+  await openChapter(state.book, state.chapter);
+}
+
+/**
+ * Opens ref's chapter and, with select, selects and scrolls to its verse.
+ * ref must already be in the current translation's numbering (mapVerse()).
+ */
+async function openVerse(ref, { select = true } = {}) {
+  await openChapter(ref.book, ref.chapter);
+  if (select) revealVerse(ref.verse);
+}
+
+/**
+ * Opens a parsed reference (references.js) at its first chapter, its verses
+ * selected as a range (to the end of the chapter when it runs on). Returns
+ * false when the translation lacks the book or chapter.
+ */
+async function openPassage(p) {
+  if (!availableBooks().includes(p.book) || !chaptersForBook(p.book).includes(p.chapter)) return false;
+
+  await openChapter(p.book, p.chapter);
+  if (p.verse === null) return true;
+
+  const last = state.verses.length ? state.verses[state.verses.length - 1].verse : p.verse;
+  const to = p.toChapter === p.chapter ? Math.min(p.toVerse, last) : last;
+  revealVerse(p.verse);
+  if (state.selected && to > p.verse) {
+    state.selectedRange = [p.verse, to];
+    updateSelectionChip();
+    renderReader();
+  }
+  return true;
+}
+
+/**
+ * Selects a verse of the loaded chapter and scrolls it into view.
+ */
+function revealVerse(n) {
+  const v = state.verses.find(x => x.verse === Number(n));
+  if (!v) return;
+  if (state.selectedKey !== `${v.book}|${v.chapter}|${v.verse}`) selectVerse(v);
+  const el = document.querySelector(`[data-key="${state.selectedKey}"]`);
+  if (el) el.scrollIntoView({ behavior: "smooth", block: "center" });
+}
+
+function selectVerse(v) {
+  const key = `${v.book}|${v.chapter}|${v.verse}`;
+  state.selectedRange = null;
+
+  if (state.selectedKey && key === state.selectedKey) {
+    state.selected = null;
+    state.selectedKey = "";
+    updateSelectionChip();
+
+    renderReader();
 
     syncToolbarActiveStates();
     return;
@@ -1049,13 +1723,7 @@ function selectVerse(v) {
   state.selectedKey = key;
   updateSelectionChip();
 
-  const versesEl = $("verses");
-  if (versesEl) {
-    renderVerses(versesEl, state.verses, {
-      selectedKey: state.selectedKey,
-      onSelect: (vv) => selectVerse(vv)
-    });
-  }
+  renderReader();
 
   syncToolbarActiveStates();
 }
@@ -1072,22 +1740,93 @@ function syncToolbarActiveStates() {
  * ============================================================================= */
 
 function setupNavigation() {
+  // Steps through the chapters the book has (they need not start at 1)
+  const step = (dir) => {
+    const chapters = chaptersForBook(state.book);
+    const i = chapters.indexOf(state.chapter);
+    if (i < 0) return chapters[0] || state.chapter;
+    return chapters[Math.min(chapters.length - 1, Math.max(0, i + dir))];
+  };
+
   on("topPrevBtn", "click", async () => {
-    state.chapter = Math.max(1, state.chapter - 1);
+    state.chapter = step(-1);
     if ($("chapterSelect")) $("chapterSelect").value = String(state.chapter);
     if ($("topChapterSelect")) $("topChapterSelect").value = String(state.chapter);
     await openChapter(state.book, state.chapter);
   });
 
   on("topNextBtn", "click", async () => {
-    const max = maxChaptersForBook(state.book);
-    state.chapter = Math.min(max, state.chapter + 1);
+    state.chapter = step(1);
     if ($("chapterSelect")) $("chapterSelect").value = String(state.chapter);
     if ($("topChapterSelect")) $("topChapterSelect").value = String(state.chapter);
     await openChapter(state.book, state.chapter);
   });
 }
 
+/* -------------------------- Outline + display modes -------------------------- */
+
+// The heading pack is partial: no outline is offered for chapters without headings
+function syncOutlineButton() {
+  const btn = $("outlineBtn");
+  if (!btn) return;
+  const any = Array.from(state.headings.values()).some(heads => heads.some(h => !OUTLINE_SKIP.has(h.type)));
+  btn.disabled = !any;
+  btn.title = any ? "Chapter outline" : `No section headings in ${state.book} ${state.chapter}`;
+}
+
+function openChapterOutline() {
+  const items = [];
+  for (const [verse, heads] of state.headings) {
+    for (const h of heads) {
+      if (OUTLINE_SKIP.has(h.type)) continue;
+      items.push({
+        title: h.text,
+        subtitle: `${state.book} ${state.chapter}:${verse}`,
+        actionText: "Go",
+        onAction: () => {
+          closeOverlay();
+          setMainTab("reader");
+          revealVerse(verse);
+        }
+      });
+    }
+  }
+
+  openOverlay(`Outline · ${state.book} ${state.chapter}`);
+  const body = $("overlayBody");
+  if (body) renderOverlayList(body, items);
+}
+
+function syncDisplayButtons() {
+  if ($("proseBtn")) $("proseBtn").classList.toggle("active", state.display === "prose");
+  if ($("interlinearBtn")) $("interlinearBtn").classList.toggle("active", state.display === "interlinear");
+}
+
+/**
+ * Switches the reader between verse rows, paragraphs and interlinear;
+ * picking the active mode again goes back to verse rows.
+ */
+async function toggleDisplayMode(mode) {
+  state.display = state.display === mode ? "verses" : mode;
+
+  if (state.display === "interlinear") {
+    if (!state.lexicon) state.lexicon = await loadLexicon();
+    if (!state.verses.some(v => v.words?.length)) {
+      toast(`${state.translation} has no tagged words here. Import a tagged text (e.g. an OSIS morphological Greek NT) to read it interlinear.`);
+    }
+  }
+
+  syncDisplayButtons();
+  renderReader();
+  await saveSetting(state.db, "readerDisplay", state.display);
+}
+
+function setupReaderView() {
+  on("outlineBtn", "click", openChapterOutline);
+  on("proseBtn", "click", () => toggleDisplayMode("prose"));
+  on("interlinearBtn", "click", () => toggleDisplayMode("interlinear"));
+}
+
 /* =============================================================================
  * 17) SIDEBAR "GO" (jump to verse)
  * ============================================================================= */
@@ -1122,7 +1861,7 @@ function setupGoButton() {
 }
 
 /* =============================================================================
- * 18) OVERLAY (Search/Dive Deeper)
+ * 18) OVERLAY (Search/Dive Deeper/Lexicon)
  * ============================================================================= */
 
 function openOverlay(title) {
@@ -1153,6 +1892,8 @@ function openDiveDeeperForSelected(){
   }
 
   const v = state.selected;
+  // Dive packs use KJV numbering
+  const k = mapVerse(v, translationMeta(state.translation)?.versification, "kjv");
   openOverlay("Dive Deeper");
 
   const body = $("overlayBody");
@@ -1225,7 +1966,7 @@ function openDiveDeeperForSelected(){
 
   // 3) Tags/Themes (starter pack)
   (async () => {
-    const tags = await getDiveTags(v.book, v.chapter, v.verse);
+    const tags = await getDiveTags(k.book, k.chapter, k.verse);
 
     if (tags && tags.length) {
       const wrap = document.createElement("div");
@@ -1234,7 +1975,7 @@ function openDiveDeeperForSelected(){
     }
 
     // 4) Study Helper (starter pack)
-    const explain = await getDiveExplain(v.book, v.chapter, v.verse);
+    const explain = await getDiveExplain(k.book, k.chapter, k.verse);
     if (explain) {
       const wrap = document.createElement("div");
 
@@ -1281,7 +2022,7 @@ function openDiveDeeperForSelected(){
     }
 
     // 5) Related verses (starter pack) - clickable
-    const refs = await getDiveCrossrefs(v.book, v.chapter, v.verse);
+    const refs = await getDiveCrossrefs(k.book, k.chapter, k.verse);
     if (refs && refs.length) {
       const wrap = document.createElement("div");
 
@@ -1307,14 +2048,8 @@ function openDiveDeeperForSelected(){
         btn.addEventListener("click", async () => {
           closeOverlay();
           setMainTab("reader");
-          await openChapter(r.book, r.chapter);
-
-          const vv = state.verses.find(x => x.verse === Number(r.verse));
-          if (vv) {
-            selectVerse(vv);
-            const el = document.querySelector(`[data-key="${state.selectedKey}"]`);
-            if (el) el.scrollIntoView({ behavior: "smooth", block: "center" });
-          }
+          // Dive Deeper packs use KJV numbering
+          await openVerse(mapVerse(r, "kjv", translationMeta(state.translation)?.versification));
         });
 
         row.appendChild(label);
@@ -1331,6 +2066,106 @@ function openDiveDeeperForSelected(){
   })();
 }
 
+/* ----------------------------- Lexicon (Strong's) ----------------------------- */
+
+const LEXICON_PAGE = 50;
+
+/**
+ * Lexicon entries for the Strong's numbers of a tapped word, each with the
+ * other verses of the current translation tagged with the same number.
+ */
+async function openLexicon(v, strongs) {
+  openOverlay(`Lexicon · ${v.book} ${v.chapter}:${v.verse}`);
+
+  const body = $("overlayBody");
+  if (!body) return;
+  body.innerHTML = "";
+
+  for (const id of strongs) {
+    body.appendChild(await lexiconCard(id, v));
+  }
+}
+
+async function lexiconCard(id, from) {
+  const entry = await getLexiconEntry(id);
+
+  const card = document.createElement("div");
+  card.className = "list-item lexicon-entry";
+
+  const title = document.createElement("div");
+  title.className = "list-title";
+  if (entry) {
+    const lemma = document.createElement("span");
+    lemma.className = "lexicon-lemma";
+    lemma.lang = id.startsWith("H") ? "he" : "grc";
+    lemma.dir = id.startsWith("H") ? "rtl" : "ltr";
+    lemma.textContent = entry.lemma;
+    title.appendChild(lemma);
+    title.appendChild(document.createTextNode(` · ${entry.translit}`));
+  } else {
+    title.textContent = id;
+  }
+
+  const sub = document.createElement("div");
+  sub.className = "list-sub";
+  sub.textContent = entry?.gloss ? `Strong's ${id} · ${entry.gloss}` : `Strong's ${id}`;
+
+  const def = document.createElement("div");
+  def.className = "lexicon-def";
+  def.textContent = entry?.definition || "This number is not in the offline lexicon.";
+
+  card.appendChild(title);
+  card.appendChild(sub);
+  card.appendChild(def);
+
+  const rows = (await getVersesByStrong(state.db, state.translation, id)).filter(r => r.key !== from.key);
+
+  const count = document.createElement("div");
+  count.className = "lexicon-count";
+  count.textContent = `${rows.length.toLocaleString()} other verse${rows.length === 1 ? "" : "s"} in ${state.translation}`;
+  card.appendChild(count);
+
+  const list = document.createElement("div");
+  list.className = "lexicon-verses";
+  card.appendChild(list);
+
+  const more = document.createElement("button");
+  more.className = "btn";
+  more.textContent = "Show more";
+
+  let shown = 0;
+  const showMore = () => {
+    for (const r of rows.slice(shown, shown + LEXICON_PAGE)) {
+      const line = document.createElement("div");
+      line.className = "lexicon-verse";
+
+      const ref = document.createElement("b");
+      ref.textContent = `${r.book} ${r.chapter}:${r.verse} `;
+
+      // The words carrying this number stand out (.sw)
+      const text = document.createElement("span");
+      renderVerseText(text, r.text, null, (r.words || []).filter(w => w.strong.includes(id)));
+
+      line.appendChild(ref);
+      line.appendChild(text);
+      line.addEventListener("click", async () => {
+        closeOverlay();
+        setMainTab("reader");
+        await openVerse(r);
+      });
+      list.appendChild(line);
+    }
+    shown = Math.min(rows.length, shown + LEXICON_PAGE);
+    more.hidden = shown >= rows.length;
+  };
+
+  more.addEventListener("click", showMore);
+  card.appendChild(more);
+  showMore();
+
+  return card;
+}
+
 /* =============================================================================
  * 19) NOTES MODAL (📝)
  * ============================================================================= */
@@ -1436,13 +2271,7 @@ async function upsertSelectedStyle(patch) {
   state.selected = { ...state.selected, style: next };
 
   // Re-render so UI reflects updates (badges, highlights, etc.)
-  const versesEl = $("verses");
-  if (versesEl) {
-    renderVerses(versesEl, state.verses, {
-      selectedKey: state.selectedKey,
-      onSelect: (vv) => selectVerse(vv)
-    });
-  }
+  renderReader();
 
   syncToolbarActiveStates();
 }
@@ -1566,7 +2395,124 @@ async function refreshNotesListInto(targetEl) {
   }
 }
 
+/* ---- Note search ---- */
+
+// Start or end of a day picked in an <input type="date"> (null if empty)
+function dateInputBound(id, endOfDay) {
+  const v = $(id)?.value;
+  if (!v) return null;
+  const t = new Date(`${v}T${endOfDay ? "23:59:59.999" : "00:00:00"}`).getTime();
+  return Number.isNaN(t) ? null : t;
+}
+
+function readNotesFilters() {
+  return {
+    type: $("notesTypeFilter")?.value || "",
+    favorite: !!$("notesFavFilter")?.checked,
+    color: $("notesColorFilter")?.value || "",
+    from: dateInputBound("notesFromDate", false),
+    to: dateInputBound("notesToDate", true)
+  };
+}
+
+/**
+ * Notes of every translation matching the Notes tab search box and filters
+ * (noteSearch.js), newest first, with the matches highlighted in a snippet.
+ */
+async function renderNotesSearchInto(targetEl) {
+  if (!targetEl) return;
+
+  const q = ($("notesSearchInput")?.value || "").trim();
+  const status = $("notesSearchStatus");
+
+  let results;
+  try {
+    results = searchNotes(await listAllNotes(state.db), q, readNotesFilters());
+  } catch (err) {
+    if (status) {
+      status.textContent = err?.name === "SearchSyntaxError"
+        ? `Query problem: ${err.message}`
+        : `Search failed: ${err?.message || err}`;
+    }
+    return;
+  }
+
+  const shown = results.slice(0, 500);
+  if (status) {
+    status.textContent = `${results.length.toLocaleString()} note${results.length === 1 ? "" : "s"} found` +
+      (shown.length < results.length ? ` (showing the newest ${shown.length})` : "");
+  }
+
+  targetEl.innerHTML = "";
+
+  if (!shown.length) {
+    targetEl.innerHTML = `<div class="hint">No notes match.</div>`;
+    return;
+  }
+
+  for (const { note: n, hits } of shown) {
+    const card = document.createElement("div");
+    card.className = "list-item";
+
+    const color = n.color && n.color !== "none" ? ` • ${hlLabel(n.color)}` : "";
+    const t = document.createElement("div");
+    t.className = "list-title";
+    t.textContent = `${n.book} ${n.chapter}:${n.verse} • ${n.translation} • ${(n.noteType || "study").toUpperCase()}${
+      n.noteFavorite ? " • ★" : ""
+    }${color}`;
+
+    const snippet = noteSnippet(n.note || "", hits);
+    const s = document.createElement("div");
+    s.className = "list-sub note-snippet";
+    renderVerseText(s, snippet.text, null, null, snippet.hits);
+
+    const when = document.createElement("div");
+    when.className = "hint";
+    when.textContent = n.updatedAt ? `Edited ${new Date(n.updatedAt).toLocaleDateString()}` : "";
+
+    const actions = document.createElement("div");
+    actions.className = "list-actions";
+
+    const btn = document.createElement("button");
+    btn.className = "btn";
+    btn.textContent = "Open";
+    btn.addEventListener("click", async () => {
+      setMainTab("reader");
+      if (n.translation && n.translation !== state.translation) await setTranslation(n.translation);
+      await openChapter(n.book, n.chapter);
+
+      const vv = state.verses.find((x) => x.verse === n.verse);
+      if (vv) selectVerse(vv);
+
+      openNoteModalForSelected();
+    });
+
+    actions.appendChild(btn);
+    card.appendChild(t);
+    card.appendChild(s);
+    if (when.textContent) card.appendChild(when);
+    card.appendChild(actions);
+    targetEl.appendChild(card);
+  }
+}
+
 function setupNotesPanel() {
+  on("notesSearchBtn", "click", () => renderNotesSearchInto($("notesListMain")));
+  on("notesSearchInput", "keydown", (e) => {
+    if (e.key === "Enter") renderNotesSearchInto($("notesListMain"));
+  });
+
+  on("notesSearchClearBtn", "click", async () => {
+    if ($("notesSearchInput")) $("notesSearchInput").value = "";
+    if ($("notesTypeFilter")) $("notesTypeFilter").value = "";
+    if ($("notesColorFilter")) $("notesColorFilter").value = "";
+    if ($("notesFromDate")) $("notesFromDate").value = "";
+    if ($("notesToDate")) $("notesToDate").value = "";
+    if ($("notesFavFilter")) $("notesFavFilter").checked = false;
+    if ($("notesSearchStatus")) $("notesSearchStatus").textContent = "";
+    if ($("notesListMain")) await refreshNotesListInto($("notesListMain"));
+  });
+
   if ($("notesAllBtn")) {
     $("notesAllBtn").addEventListener("click", async () => {
       state.notesFilter = "all";
@@ -1782,45 +2728,896 @@ function setupBookmarksPanel() {
  * 24) SEARCH (Sidebar Search pane)
  * ============================================================================= */
 
-function setupSearch() {
-  on("searchBtn", "click", async () => {
-    const q = $("searchInput") ? $("searchInput").value.trim() : "";
-    if (!q) return;
+// Verses shown per book at first, and per "Show more"
+const SEARCH_GROUP_PAGE = 5;
+const SEARCH_PAGE = 50;
+
+function setSearchStatus(text) {
+  if ($("searchStatus")) $("searchStatus").textContent = text;
+}
+
+const searchMarkId = (mark) => `searchMark-${mark}`;
 
-    if ($("searchStatus")) $("searchStatus").textContent = "Searching…";
+function readSearchScope() {
+  return {
+    books: $("searchScope")?.value || "all",
+    from: $("searchFromBook")?.value || "",
+    to: $("searchToBook")?.value || "",
+    marks: SCOPE_MARKS.map(m => m.id).filter(id => $(searchMarkId(id))?.checked)
+  };
+}
 
-    const storeName = storeForSearch(state.translation);
-    const hits = await searchTextCursor(state.db, storeName, q, 120);
+function searchScopeContext() {
+  return { translation: state.translation, books: availableBooks(), book: state.book, chapter: state.chapter };
+}
 
-    if ($("searchStatus")) $("searchStatus").textContent = `${hits.length} result(s)`;
-    openOverlay("Search Results");
+function renderSearchScopeOptions() {
+  const select = $("searchScope");
+  if (select && !select.options.length) {
+    for (const c of listScopeChoices()) {
+      const opt = document.createElement("option");
+      opt.value = c.id;
+      opt.textContent = c.label;
+      select.appendChild(opt);
+    }
+  }
 
-    const body = $("overlayBody");
-    if (!body) return;
+  const books = availableBooks();
+  for (const [id, fallback] of [["searchFromBook", books[0]], ["searchToBook", books[books.length - 1]]]) {
+    const el = $(id);
+    if (!el) continue;
+    const keep = el.value;
+    el.innerHTML = books.map(b => `<option value="${b}">${b}</option>`).join("");
+    el.value = books.includes(keep) ? keep : (fallback || "");
+  }
 
-    renderOverlayList(
-      body,
-      hits.map((h) => ({
-        title: `${h.book} ${h.chapter}:${h.verse}`,
-        subtitle: h.text,
-        actionText: "Open",
-        onAction: async () => {
-          closeOverlay();
-          setMainTab("reader");
-          await openChapter(h.book, h.chapter);
-        }
-      }))
-    );
+  if ($("searchRangeRow")) $("searchRangeRow").hidden = readSearchScope().books !== "range";
+}
+
+function searchOptions(meta, filter) {
+  return {
+    filter,
+    forms: !!$("searchFormsToggle")?.checked,
+    onIndexProgress: (n) => {
+      setSearchStatus(`Building the ${meta.id} search index… ${n.toLocaleString()} verses`);
+    }
+  };
+}
+
+function showSearchError(err) {
+  setSearchStatus(err?.name === "SearchSyntaxError"
+    ? `Query problem: ${err.message}`
+    : `Search failed: ${err?.message || err}`);
+}
+
+// Books of items (each with a book) -> [[book, items]] in order's book order
+function groupByBook(items, order) {
+  const groups = new Map();
+  for (const it of items) {
+    if (!groups.has(it.book)) groups.set(it.book, []);
+    groups.get(it.book).push(it);
+  }
+  const pos = new Map(order.map((b, i) => [b, i]));
+  return Array.from(groups).sort(([a], [b]) => (pos.get(a) ?? Infinity) - (pos.get(b) ?? Infinity));
+}
+
+/**
+ * Fills the overlay with the intro elements and one card per book
+ * ([[book, items]]). loadLines(items) -> an element (or null) per item, for
+ * a page of them.
+ */
+async function renderSearchResults(title, intro, books, loadLines) {
+  openOverlay(title);
+
+  const body = $("overlayBody");
+  if (!body) return;
+  body.innerHTML = "";
+
+  intro.forEach(el => body.appendChild(el));
+
+  if (!books.length) {
+    const empty = document.createElement("div");
+    renderOverlayList(empty, []);
+    body.appendChild(empty);
+    return;
+  }
+
+  const results = document.createElement("div");
+  results.className = "search-results";
+  results.addEventListener("keydown", onSearchResultsKey);
+  body.appendChild(results);
+
+  const cards = books.map(([book, items]) => searchGroupCard(book, items, loadLines));
+  cards.forEach(c => results.appendChild(c.card));
+
+  // First page of every book in one go
+  const firstPages = cards.map(c => c.items.slice(0, SEARCH_GROUP_PAGE));
+  const lines = await loadLines(firstPages.flat());
+  let i = 0;
+  cards.forEach((c, n) => {
+    c.append(lines.slice(i, i + firstPages[n].length));
+    i += firstPages[n].length;
+  });
+
+  results.querySelector(".search-verse")?.focus();
+}
+
+/**
+ * Search box references ("Jn 3:16", "Rom 8:28–39; 12:1-2"): opens the first
+ * one in the reader and lists them all when there are several. Returns false
+ * (search the text instead) when none is in the current translation.
+ */
+async function openReferences(refs) {
+  const meta = translationMeta(state.translation);
+  const found = refs.filter(p => availableBooks().includes(p.book) && chaptersForBook(p.book).includes(p.chapter));
+  if (!found.length) return false;
+
+  setMainTab("reader");
+  await openPassage(found[0]);
+
+  const missing = refs.length - found.length;
+  setSearchStatus(`Opened ${formatReference(found[0])}` +
+    (found.length > 1 ? ` (${found.length} references)` : "") +
+    (missing ? `; ${missing} not in ${state.translation}` : ""));
+  if (found.length === 1) return true;
+
+  // Opening text of each reference (its first verses in one chapter)
+  const MAX_VERSES = 6;
+  const keys = found.map(p => {
+    const from = p.verse ?? 1;
+    const to = p.verse === null ? from : (p.toChapter === p.chapter ? p.toVerse : from + MAX_VERSES - 1);
+    const n = Math.min(to - from + 1, MAX_VERSES);
+    return Array.from({ length: n }, (_, i) => `${p.book}|${p.chapter}|${from + i}`);
+  });
+  const rows = meta?.store ? await getMany(state.db, meta.store, keys.flat()) : [];
+
+  let i = 0;
+  const items = found.map((p, n) => {
+    const text = rows.slice(i, i + keys[n].length).filter(Boolean).map(r => r.text).join(" ");
+    i += keys[n].length;
+    return {
+      title: formatReference(p),
+      subtitle: text.length > 240 ? `${text.slice(0, 240)}…` : text,
+      actionText: "Open",
+      onAction: async () => {
+        closeOverlay();
+        setMainTab("reader");
+        await openPassage(p);
+      }
+    };
+  });
+
+  openOverlay(`References · ${found.length}`);
+  if ($("overlayBody")) renderOverlayList($("overlayBody"), items);
+  return true;
+}
+
+/**
+ * Ranked search over the current translation (searchIndex.js; query syntax in
+ * searchQuery.js), limited to the chosen scope (searchScope.js). Results are
+ * grouped by book, best verses first within each; verse rows are loaded one
+ * page at a time.
+ */
+async function runSearch(q) {
+  const meta = translationMeta(state.translation);
+  if (!meta?.store) return;
+
+  setSearchStatus("Searching…");
+
+  const scope = readSearchScope();
+  const ctx = searchScopeContext();
+
+  let result;
+  try {
+    result = await searchVerses(state.db, meta, q, searchOptions(meta, await createScopeFilter(state.db, scope, ctx)));
+  } catch (err) {
+    showSearchError(err);
+    return;
+  }
+
+  const hits = result.hits.map(h => ({ ...h, book: h.key.split("|")[0] }));
+  const books = groupByBook(hits, ctx.books);
+
+  const total = result.total;
+  const where = describeScope(scope, ctx);
+  const inBooks = books.length > 1 ? ` in ${books.length} books` : "";
+  setSearchStatus(`${total.toLocaleString()} result${total === 1 ? "" : "s"}${inBooks}${where ? ` (${where})` : ""}`);
+  await rememberSearch(q, scope, total, false);
+
+  const marks = { terms: new Set(result.terms), language: meta.language };
+  const intro = result.variants.length ? [searchVariantsHint(result.variants)] : [];
+  await renderSearchResults(`Search Results · ${total.toLocaleString()}`, intro, books, verseLineLoader(meta, marks));
+}
+
+// loadLines for renderSearchResults(): items with a key in meta.store
+function verseLineLoader(meta, marks) {
+  return async (page) => {
+    const rows = await getMany(state.db, meta.store, page.map(h => h.key));
+    return rows.map(r => {
+      if (!r) return null;
+      const line = searchVerseLine(r, marks, `${r.chapter}:${r.verse}`);
+      line.addEventListener("click", () => openSearchHit(meta.id, r));
+      return line;
+    });
+  };
+}
+
+/**
+ * The same search over every installed translation. Hits are grouped by
+ * reference (in KJV numbering, mapVerse()), references matched by more
+ * translations first; each lists the matching translations' verses and opens
+ * in that translation.
+ */
+async function runCrossSearch(q) {
+  const installed = (await installedTranslations()).map(t => t.meta);
+  if (!installed.length) return;
+
+  // The reader's translation first
+  installed.sort((a, b) => (b.id === state.translation) - (a.id === state.translation));
+
+  const scope = readSearchScope();
+  const from = translationMeta(state.translation)?.versification;
+  const refs = new Map();        // "Book|chapter|verse" (KJV numbering) -> entry
+  const marks = new Map();       // translation id -> { terms, language }
+  const variants = new Map();    // word -> Set(terms)
+  let hitCount = 0;
+
+  try {
+    for (const meta of installed) {
+      setSearchStatus(`Searching ${meta.id}…`);
+      // "Current book/chapter" in this translation's numbering
+      const here = mapVerse({ book: state.book, chapter: state.chapter }, from, meta.versification);
+      const ctx = {
+        ...searchScopeContext(),
+        translation: meta.id,
+        books: canonBooks(meta.canon),
+        book: here.book,
+        chapter: here.chapter
+      };
+      const result = await searchVerses(state.db, meta, q, searchOptions(meta, await createScopeFilter(state.db, scope, ctx)));
+
+      marks.set(meta.id, { terms: new Set(result.terms), language: meta.language });
+      for (const v of result.variants) {
+        if (!variants.has(v.word)) variants.set(v.word, new Set());
+        v.terms.forEach(t => variants.get(v.word).add(t));
+      }
+
+      hitCount += result.total;
+      for (const h of result.hits) {
+        const [book, chapter, verse] = h.key.split("|");
+        const ref = mapVerse({ book, chapter, verse }, meta.versification, "kjv");
+        const id = `${ref.book}|${ref.chapter}|${ref.verse}`;
+        if (!refs.has(id)) refs.set(id, { ...ref, matches: [] });
+        refs.get(id).matches.push({ meta, key: h.key, score: h.score });
+      }
+    }
+  } catch (err) {
+    showSearchError(err);
+    return;
+  }
+
+  const best = (entry) => Math.max(...entry.matches.map(m => m.score));
+  const entries = Array.from(refs.values())
+    .sort((a, b) => (b.matches.length - a.matches.length) || (best(b) - best(a)));
+  const books = groupByBook(entries, canonBooks(translationMeta(state.translation)?.canon));
+
+  const where = describeScope(scope, searchScopeContext());
+  setSearchStatus(
+    `${entries.length.toLocaleString()} reference${entries.length === 1 ? "" : "s"} ` +
+    `(${hitCount.toLocaleString()} verses in ${installed.length} translations)${where ? ` (${where})` : ""}`
+  );
+  await rememberSearch(q, scope, entries.length, true);
+
+  const variantList = Array.from(variants, ([word, terms]) => ({ word, terms: Array.from(terms) }));
+  const intro = variantList.length ? [searchVariantsHint(variantList)] : [];
+  await renderSearchResults(`Search Results · ${entries.length.toLocaleString()} references`, intro, books, async (page) => {
+    // Rows of every match on the page, one transaction per translation
+    const rows = new Map();
+    for (const meta of installed) {
+      const keys = page.flatMap(e => e.matches.filter(m => m.meta.id === meta.id).map(m => m.key));
+      if (!keys.length) continue;
+      (await getMany(state.db, meta.store, keys)).forEach((r, i) => rows.set(`${meta.id}|${keys[i]}`, r));
+    }
+    return page.map(entry => searchCompareBlock(entry, installed, rows, marks));
+  });
+}
+
+// One reference of a cross-translation search: a line per matching translation
+function searchCompareBlock(entry, installed, rows, marks) {
+  const block = document.createElement("div");
+  block.className = "search-ref";
+
+  const head = document.createElement("div");
+  head.className = "search-ref-title";
+  const ref = document.createElement("b");
+  ref.textContent = `${entry.chapter}:${entry.verse}`;
+  head.appendChild(ref);
+
+  const matched = new Set(entry.matches.map(m => m.meta.id));
+  const missing = installed.filter(m => !matched.has(m.id)).map(m => m.id);
+  if (missing.length) {
+    const note = document.createElement("span");
+    note.className = "search-ref-missing";
+    note.textContent = ` · no match in ${missing.join(", ")}`;
+    head.appendChild(note);
+  }
+  block.appendChild(head);
+
+  for (const m of entry.matches) {
+    const r = rows.get(`${m.meta.id}|${m.key}`);
+    if (!r) continue;
+    // Label with the translation's own numbering where it differs
+    const own = Number(r.chapter) !== entry.chapter || Number(r.verse) !== entry.verse ? ` ${r.chapter}:${r.verse}` : "";
+    const line = searchVerseLine(r, marks.get(m.meta.id), `${m.meta.id}${own}`);
+    line.title = `Open ${r.book} ${r.chapter}:${r.verse} in ${m.meta.id}`;
+    line.addEventListener("click", () => openSearchHit(m.meta.id, r));
+    block.appendChild(line);
+  }
+
+  return block;
+}
+
+// Opens a result verse, switching to its translation first if needed
+async function openSearchHit(translationId, row) {
+  closeOverlay();
+  setMainTab("reader");
+  if (translationId !== state.translation) await setTranslation(translationId);
+  await openVerse(row);
+}
+
+// Up/Down move through the result lines, Enter opens one
+function onSearchResultsKey(e) {
+  const line = e.target.closest?.(".search-verse");
+  if (!line) return;
+
+  if (e.key === "Enter") {
+    e.preventDefault();
+    line.click();
+    return;
+  }
+  if (e.key !== "ArrowDown" && e.key !== "ArrowUp") return;
+
+  e.preventDefault();
+  const lines = Array.from(e.currentTarget.querySelectorAll(".search-verse"));
+  const next = lines[lines.indexOf(line) + (e.key === "ArrowDown" ? 1 : -1)];
+  if (next) {
+    next.focus();
+    next.scrollIntoView({ block: "nearest" });
+  }
+}
+
+// "Matched: forgive → forgave, forgiven · bless* → blessed, blessing, …"
+function searchVariantsHint(variants) {
+  const MAX_TERMS = 12;
+  const hint = document.createElement("div");
+  hint.className = "hint search-variants";
+  hint.textContent = "Matched: " + variants.map(v => {
+    const shown = v.terms.slice(0, MAX_TERMS).join(", ");
+    return `${v.word} → ${shown}${v.terms.length > MAX_TERMS ? `, … (${v.terms.length})` : ""}`;
+  }).join(" · ");
+  return hint;
+}
+
+// A verse of the results, words whose search form is in marks.terms
+// highlighted. The caller adds the click action.
+function searchVerseLine(row, marks, label) {
+  const line = document.createElement("div");
+  line.className = "search-verse";
+  line.tabIndex = 0;
+  line.title = `Open ${row.book} ${row.chapter}:${row.verse}`;
+
+  const ref = document.createElement("b");
+  ref.textContent = `${label} `;
+
+  const text = document.createElement("span");
+  renderVerseText(text, row.text, row.spans, null, findTerms(row.text, marks.terms, marks.language));
+
+  line.appendChild(ref);
+  line.appendChild(text);
+  return line;
+}
+
+// Card of one book's results -> { card, items, append(lines) }; "Show more"
+// renders the next page with loadLines(items)
+function searchGroupCard(book, items, loadLines) {
+  const card = document.createElement("div");
+  card.className = "list-item search-group";
+  card.dataset.book = book;
+
+  const title = document.createElement("div");
+  title.className = "list-title";
+  title.textContent = book;
+
+  const sub = document.createElement("div");
+  sub.className = "list-sub";
+  sub.textContent = `${items.length.toLocaleString()} result${items.length === 1 ? "" : "s"}`;
+
+  const list = document.createElement("div");
+  list.className = "search-verses";
+
+  const more = document.createElement("button");
+  more.className = "btn";
+  more.hidden = true;
+
+  card.appendChild(title);
+  card.appendChild(sub);
+  card.appendChild(list);
+  card.appendChild(more);
+
+  let shown = 0;
+  const append = (lines) => {
+    for (const el of lines) {
+      shown++;
+      if (el) list.appendChild(el);
+    }
+    more.hidden = shown >= items.length;
+    more.textContent = `Show more (${(items.length - shown).toLocaleString()} left)`;
+  };
+
+  more.addEventListener("click", async () => {
+    const before = list.querySelectorAll(".search-verse").length;
+    append(await loadLines(items.slice(shown, shown + SEARCH_PAGE)));
+    list.querySelectorAll(".search-verse")[before]?.focus();
+  });
+
+  return { card, items, append };
+}
+
+// The Search pane's query: a reference opens, anything else is searched for
+async function runSearchPane() {
+  const q = $("searchInput") ? $("searchInput").value.trim() : "";
+  if (!q) return;
+  if (await openReferences(parseReferences(q))) return;
+  if ($("searchAllToggle")?.checked) await runCrossSearch(q);
+  else await runSearch(q);
+}
+
+/* ---- Search history ---- */
+
+async function rememberSearch(query, scope, total, all) {
+  await recordSearch(state.db, {
+    query,
+    scope,
+    forms: !!$("searchFormsToggle")?.checked,
+    all,
+    translation: state.translation,
+    total
+  });
+  await renderSearchHistory();
+}
+
+// Puts a remembered search back into the Search pane and runs it, in the
+// translation it was run in; the current one when that is not installed
+async function rerunSearch(h) {
+  let missing = "";
+  if (!h.all && h.translation && h.translation !== state.translation) {
+    const installed = (await installedTranslations()).some(t => t.meta.id === h.translation);
+    if (installed) await setTranslation(h.translation);
+    else missing = h.translation;
+  }
+
+  if ($("searchInput")) $("searchInput").value = h.query;
+  if ($("searchFormsToggle")) $("searchFormsToggle").checked = !!h.forms;
+  if ($("searchAllToggle")) $("searchAllToggle").checked = !!h.all;
+
+  const scope = h.scope || {};
+  const select = $("searchScope");
+  if (select) {
+    select.value = scope.books || "all";
+    // A book group this version no longer has
+    if (!select.value) select.value = "all";
+  }
+  if (scope.from && $("searchFromBook")) $("searchFromBook").value = scope.from;
+  if (scope.to && $("searchToBook")) $("searchToBook").value = scope.to;
+  if ($("searchRangeRow")) $("searchRangeRow").hidden = readSearchScope().books !== "range";
+  for (const m of SCOPE_MARKS) {
+    if ($(searchMarkId(m.id))) $(searchMarkId(m.id)).checked = (scope.marks || []).includes(m.id);
+  }
+
+  await runSearchPane();
+  if (missing) {
+    setSearchStatus(`${missing} is not installed, so ${state.translation} was searched. ${$("searchStatus")?.textContent || ""}`.trim());
+  }
+}
+
+async function renderSearchHistory() {
+  const history = await listSearchHistory(state.db);
+  renderSearchHistoryInto($("savedSearchList"), history.filter(h => h.pinned),
+    "No saved searches yet. Save a recent search to keep it here.");
+  renderSearchHistoryInto($("searchHistoryList"), history.filter(h => !h.pinned),
+    "Searches you run appear here.");
+}
+
+function renderSearchHistoryInto(targetEl, items, emptyText) {
+  if (!targetEl) return;
+  targetEl.innerHTML = "";
+
+  if (!items.length) {
+    const empty = document.createElement("div");
+    empty.className = "hint";
+    empty.textContent = emptyText;
+    targetEl.appendChild(empty);
+    return;
+  }
+
+  for (const h of items) targetEl.appendChild(searchHistoryItem(h));
+}
+
+function searchHistoryItem(h) {
+  const card = document.createElement("div");
+  card.className = "list-item";
+
+  const t = document.createElement("div");
+  t.className = "list-title";
+  t.textContent = h.name || h.query;
+
+  const where = describeScope(h.scope || {}, searchScopeContext());
+  const s = document.createElement("div");
+  s.className = "list-sub";
+  s.textContent = [
+    h.name ? h.query : "",
+    h.all ? "all translations" : h.translation,
+    where,
+    `${(h.total || 0).toLocaleString()} result${h.total === 1 ? "" : "s"}`,
+    new Date(h.runAt).toLocaleDateString()
+  ].filter(Boolean).join(" · ");
+
+  const actions = document.createElement("div");
+  actions.className = "list-actions";
+
+  const button = (text, onClick, primary = false) => {
+    const b = document.createElement("button");
+    b.className = primary ? "btn primary" : "btn";
+    b.textContent = text;
+    b.addEventListener("click", onClick);
+    actions.appendChild(b);
+  };
+
+  const showActions = () => {
+    actions.innerHTML = "";
+    button("Run", () => rerunSearch(h), true);
+    button(h.pinned ? "Rename" : "Save", editName);
+    if (h.pinned) {
+      button("Unpin", async () => {
+        await pinSearch(state.db, h.key, "");
+        await renderSearchHistory();
+      });
+    }
+    button("Remove", async () => {
+      await deleteSearch(state.db, h.key);
+      await renderSearchHistory();
+    });
+  };
+
+  // Name the search in place of the buttons
+  function editName() {
+    actions.innerHTML = "";
+    const input = document.createElement("input");
+    input.className = "input";
+    input.placeholder = "Name";
+    input.value = h.name || h.query;
+
+    const save = async () => {
+      if (!input.value.trim()) return;
+      await pinSearch(state.db, h.key, input.value);
+      await renderSearchHistory();
+    };
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") save();
+      if (e.key === "Escape") showActions();
+    });
+
+    actions.appendChild(input);
+    button("Save", save, true);
+    button("Cancel", showActions);
+    input.focus();
+    input.select();
+  }
+
+  showActions();
+  card.appendChild(t);
+  card.appendChild(s);
+  card.appendChild(actions);
+  return card;
+}
+
+async function setupSearch() {
+  renderSearchScopeOptions();
+
+  if ($("searchFormsToggle")) {
+    $("searchFormsToggle").checked = (await loadSetting(state.db, "searchForms")) !== "0";
+  }
+  on("searchFormsToggle", "change", async () => {
+    await saveSetting(state.db, "searchForms", $("searchFormsToggle").checked ? "1" : "0");
+  });
+
+  on("searchScope", "change", () => {
+    if ($("searchRangeRow")) $("searchRangeRow").hidden = readSearchScope().books !== "range";
+  });
+
+  on("searchBtn", "click", runSearchPane);
+
+  on("searchInput", "keydown", (e) => {
+    if (e.key === "Enter") $("searchBtn")?.click();
   });
 
   on("clearSearchBtn", "click", () => {
     if ($("searchInput")) $("searchInput").value = "";
-    if ($("searchStatus")) $("searchStatus").textContent = "";
+    setSearchStatus("");
+  });
+
+  on("clearSearchHistoryBtn", "click", async () => {
+    await clearSearchHistory(state.db);
+    await renderSearchHistory();
   });
+  await renderSearchHistory();
 }
 
 /* =============================================================================
- * 25) QUICK TOOLS (Bookmark chapter, Copy chapter)
+ * 25) CONCORDANCE (word list + word view)
+ * ============================================================================= */
+
+// Words listed per page of the word list
+const CONCORDANCE_PAGE = 200;
+
+/**
+ * The current translation's concordance (concordance.js) in the overlay:
+ * the word list, or the view of term (a search term) when given.
+ */
+async function openConcordance(term = "") {
+  const meta = translationMeta(state.translation);
+  if (!meta?.store) return;
+
+  openOverlay(`Concordance · ${meta.id}`);
+  const body = $("overlayBody");
+  if (!body) return;
+  body.innerHTML = "";
+
+  const progress = document.createElement("div");
+  progress.className = "hint";
+  progress.textContent = "Counting words…";
+  body.appendChild(progress);
+
+  let concordance;
+  try {
+    concordance = await ensureConcordance(state.db, meta, (n, stage) => {
+      progress.textContent = stage === "index"
+        ? `Building the ${meta.id} search index… ${n.toLocaleString()} verses`
+        : `Counting words… ${n.toLocaleString()} verses`;
+    });
+  } catch (err) {
+    progress.textContent = `Concordance failed: ${err?.message || err}`;
+    return;
+  }
+
+  const entry = term ? concordance.words.find(w => w.term === term) : null;
+  if (entry) await renderConcordanceWord(meta, concordance, entry);
+  else renderConcordanceList(meta, concordance, term ? `"${term}" does not occur in ${meta.id}.` : "");
+}
+
+// Every word with its count, most frequent first (or A–Z), filtered by prefix
+function renderConcordanceList(meta, concordance, notice = "") {
+  openOverlay(`Concordance · ${meta.id}`);
+  const body = $("overlayBody");
+  if (!body) return;
+  body.innerHTML = "";
+
+  if (notice) {
+    const n = document.createElement("div");
+    n.className = "hint";
+    n.textContent = notice;
+    body.appendChild(n);
+  }
+
+  const summary = document.createElement("div");
+  summary.className = "hint";
+  summary.textContent = `${concordance.words.length.toLocaleString()} distinct words, ` +
+    `${concordance.total.toLocaleString()} in all, in ${concordance.books.length} books. Pick a word for its verses.`;
+
+  const controls = document.createElement("div");
+  controls.className = "row";
+
+  const filter = document.createElement("input");
+  filter.className = "input";
+  filter.placeholder = "Words starting with…";
+  filter.style.flex = "2";
+  filter.style.minWidth = "160px";
+
+  const sort = document.createElement("select");
+  sort.className = "input";
+  sort.style.flex = "1";
+  sort.style.minWidth = "120px";
+  for (const [value, label] of [["count", "Most frequent"], ["alpha", "A–Z"]]) {
+    const o = document.createElement("option");
+    o.value = value;
+    o.textContent = label;
+    sort.appendChild(o);
+  }
+
+  controls.appendChild(filter);
+  controls.appendChild(sort);
+
+  const list = document.createElement("div");
+  list.className = "conc-words";
+
+  const more = document.createElement("button");
+  more.className = "btn";
+
+  body.appendChild(summary);
+  body.appendChild(controls);
+  body.appendChild(list);
+  body.appendChild(more);
+
+  let words = [];
+  let shown = 0;
+
+  const showMore = () => {
+    for (const w of words.slice(shown, shown + CONCORDANCE_PAGE)) {
+      const btn = document.createElement("button");
+      btn.className = "conc-word";
+      btn.title = `${w.count.toLocaleString()} times in ${w.verses.toLocaleString()} verses`;
+
+      const label = document.createElement("span");
+      label.textContent = w.word;
+      const count = document.createElement("span");
+      count.className = "conc-count";
+      count.textContent = w.count.toLocaleString();
+
+      btn.appendChild(label);
+      btn.appendChild(count);
+      btn.addEventListener("click", () => renderConcordanceWord(meta, concordance, w));
+      list.appendChild(btn);
+    }
+    shown = Math.min(words.length, shown + CONCORDANCE_PAGE);
+    more.hidden = shown >= words.length;
+    more.textContent = `Show more (${(words.length - shown).toLocaleString()} left)`;
+  };
+
+  const refresh = () => {
+    const prefix = normalizeWord(filter.value.trim(), meta.language);
+    words = prefix ? concordance.words.filter(w => w.term.startsWith(prefix)) : concordance.words.slice();
+    if (sort.value === "alpha") words.sort((a, b) => a.term.localeCompare(b.term));
+
+    list.innerHTML = "";
+    shown = 0;
+    if (!words.length) list.innerHTML = `<div class="hint">No words start with that.</div>`;
+    showMore();
+  };
+
+  filter.addEventListener("input", refresh);
+  sort.addEventListener("change", refresh);
+  more.addEventListener("click", showMore);
+
+  refresh();
+  filter.focus();
+}
+
+// One word: its occurrences per book as a chart, then its verses in Bible order
+async function renderConcordanceWord(meta, concordance, entry) {
+  const back = document.createElement("button");
+  back.className = "btn";
+  back.textContent = "← All words";
+  back.addEventListener("click", () => renderConcordanceList(meta, concordance));
+
+  const perBook = wordBooks(concordance, entry);
+  const summary = document.createElement("div");
+  summary.className = "hint";
+  summary.textContent = `${entry.word}: ${entry.count.toLocaleString()} times in ` +
+    `${entry.verses.toLocaleString()} verses and ${perBook.size} of ${concordance.books.length} books.`;
+
+  const chart = concordanceChart(concordance.books, perBook);
+
+  const keys = await termVerseKeys(state.db, meta, entry.term);
+  const books = groupByBook(keys.map(key => ({ key, book: key.split("|")[0] })), availableBooks());
+  const marks = { terms: new Set([entry.term]), language: meta.language };
+
+  await renderSearchResults(`Concordance · ${entry.word}`, [back, summary, chart], books, verseLineLoader(meta, marks));
+}
+
+// A bar per book (in order) as tall as the word's count there; a bar jumps
+// to its book's verses
+function concordanceChart(books, perBook) {
+  const chart = document.createElement("div");
+  chart.className = "conc-chart";
+  chart.setAttribute("role", "img");
+  chart.setAttribute("aria-label", Array.from(perBook, ([b, n]) => `${b} ${n}`).join(", "));
+
+  const max = Math.max(1, ...perBook.values());
+  for (const book of books) {
+    const n = perBook.get(book) || 0;
+    const bar = document.createElement("div");
+    bar.className = "conc-bar";
+    bar.title = `${book}: ${n.toLocaleString()}`;
+
+    const fill = document.createElement("div");
+    fill.className = "conc-fill";
+    fill.style.height = n ? `${Math.max(4, Math.round((n / max) * 100))}%` : "0";
+    bar.appendChild(fill);
+
+    if (n) {
+      bar.addEventListener("click", () => {
+        chart.parentElement?.querySelector(`.search-group[data-book="${CSS.escape(book)}"]`)
+          ?.scrollIntoView({ behavior: "smooth", block: "start" });
+      });
+    }
+    chart.appendChild(bar);
+  }
+  return chart;
+}
+
+const LONG_PRESS_MS = 550;
+
+function showConcordance(term = "") {
+  openConcordance(term).catch(err => popupMessage("Concordance Failed", err?.message || String(err)));
+}
+
+// The reader word at (x, y) as a search term, "" outside verse text and
+// Strong's-tagged words (those open the lexicon)
+function readerTermAt(target, x, y) {
+  if (!target.closest?.(".verse-text") || target.closest(".sw")) return "";
+  return normalizeWord(wordAtPoint(x, y), translationMeta(state.translation)?.language);
+}
+
+function setupConcordance() {
+  on("concordanceBtn", "click", () => showConcordance());
+
+  // A word of the reader opens its concordance view on a long press (touch)
+  // or a double click (mouse; its two clicks select and unselect the verse)
+  on("verses", "dblclick", (e) => {
+    const term = readerTermAt(e.target, e.clientX, e.clientY);
+    if (term) {
+      window.getSelection?.()?.removeAllRanges();
+      showConcordance(term);
+    }
+  });
+
+  const verses = $("verses");
+  if (!verses) return;
+
+  let press = null;   // { timer, x, y }
+  let pressed = false;
+  const cancel = () => {
+    if (press) clearTimeout(press.timer);
+    press = null;
+  };
+
+  verses.addEventListener("pointerdown", (e) => {
+    cancel();
+    pressed = false;
+    if (e.pointerType === "mouse" || !readerTermAt(e.target, e.clientX, e.clientY)) return;
+    const { target, clientX: x, clientY: y } = e;
+    press = {
+      x,
+      y,
+      timer: setTimeout(() => {
+        press = null;
+        const term = readerTermAt(target, x, y);
+        if (!term) return;
+        pressed = true;
+        window.getSelection?.()?.removeAllRanges();
+        showConcordance(term);
+      }, LONG_PRESS_MS)
+    };
+  });
+  verses.addEventListener("pointermove", (e) => {
+    if (press && Math.hypot(e.clientX - press.x, e.clientY - press.y) > 10) cancel();
+  });
+  verses.addEventListener("pointerup", cancel);
+  verses.addEventListener("pointercancel", cancel);
+
+  // The click and context menu that end a long press do not reach the verse
+  const swallow = (e) => {
+    if (!pressed) return;
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.type === "click") pressed = false;
+  };
+  verses.addEventListener("click", swallow, true);
+  verses.addEventListener("contextmenu", swallow, true);
+}
+
+/* =============================================================================
+ * 26) QUICK TOOLS (Bookmark chapter, Copy chapter)
  * ============================================================================= */
 
 function setupQuickActions() {
@@ -1847,17 +3644,24 @@ function setupQuickActions() {
 }
 
 /* =============================================================================
- * 26) BOOT
+ * 27) BOOT
  * ============================================================================= */
 
 async function init() {
   await registerServiceWorker();
   setupInstallButton();
 
+  // Registry first: it tells db.js which verse stores the schema needs
+  await loadTranslationRegistry();
+  state.db = await openDb();
+
+  // User translations are stored in settings; reopen creates any missing store
+  await loadUserTranslations(state.db);
   state.db = await openDb();
 
   if ($("netStatus")) setNetStatus($("netStatus"));
   if ($("dbStatus")) $("dbStatus").textContent = "IndexedDB ready";
+  setupImportCancel();
 
   // Create dialog helper (now that DOM exists)
   dialog = createDialog();
@@ -1866,7 +3670,8 @@ async function init() {
 
   // Load saved translation
   const savedT = await loadSetting(state.db, "translation");
-  if (savedT) state.translation = savedT;
+  const startMeta = translationMeta(savedT || state.translation);
+  if (startMeta) state.translation = startMeta.id;
 
   // Load highlight label customizations
   await loadHighlightLabels();
@@ -1897,7 +3702,9 @@ async function init() {
   setMainTab("reader");
 
   // Import the selected translation (KJV by default)
-  await ensureTranslationImported(state.translation);
+  // One integrity dialog for all translations, the current one included
+  await ensureTranslationImported(state.translation, { offer: false });
+  await checkImportedTranslations();
 
   // Appearance settings (accent + font size)
   await restoreAppearanceSettings();
@@ -1907,15 +3714,17 @@ async function init() {
   populateHighlightFilterUI();
 
   populateBooks();
-  populateChapters();
+  await refreshBookSelects();
 
   setupNavigation();
+  setupReaderView();
   setupVerseToolbar();
   setupNoteModal();
   setupGoButton();
   setupNotesPanel();
   setupBookmarksPanel();
-  setupSearch();
+  await setupSearch();
+  setupConcordance();
   setupQuickActions();
 
   await updateBottomBarForTranslation();
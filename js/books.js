@@ -0,0 +1,310 @@
+/**
+ * books.js
+ * -----------------------------------------------------------------------------
+ * Canonical book table shared by the reader and every importer.
+ *
+ * - name:     canonical name used in verse keys ("Book|chapter|verse")
+ * - osis:     OSIS book id ("Gen", "1Cor")
+ * - usfm:     USFM/USX book code ("GEN", "1CO")
+ * - chapters: chapter count (KJV numbering)
+ * - section:  "ot", "dc" (deuterocanon / Apocrypha) or "nt"
+ * - number:   book number in numbered formats; 1..66 follow the table order,
+ *             deuterocanonical books use the Zefania numbers (67 Judith, …)
+ * - first:    first chapter number when it is not 1 (KJV "Rest of Esther"
+ *             continues Esther at 10:4)
+ *
+ * A canon is the list of books a translation contains, in its reading order.
+ * Translations declare one in the registry ("canon", translations.js); books
+ * found in a file but missing from its canon are still shown, after the rest.
+ *
+ * Book groups (Law, Gospels, Paul's letters, …) are named sets of books for
+ * scoped searches (searchScope.js).
+ * -----------------------------------------------------------------------------
+ */
+
+export const BOOK_TABLE = [
+  { name: "Genesis", osis: "Gen", usfm: "GEN", chapters: 50 },
+  { name: "Exodus", osis: "Exod", usfm: "EXO", chapters: 40 },
+  { name: "Leviticus", osis: "Lev", usfm: "LEV", chapters: 27 },
+  { name: "Numbers", osis: "Num", usfm: "NUM", chapters: 36 },
+  { name: "Deuteronomy", osis: "Deut", usfm: "DEU", chapters: 34 },
+  { name: "Joshua", osis: "Josh", usfm: "JOS", chapters: 24 },
+  { name: "Judges", osis: "Judg", usfm: "JDG", chapters: 21 },
+  { name: "Ruth", osis: "Ruth", usfm: "RUT", chapters: 4 },
+  { name: "1 Samuel", osis: "1Sam", usfm: "1SA", chapters: 31 },
+  { name: "2 Samuel", osis: "2Sam", usfm: "2SA", chapters: 24 },
+  { name: "1 Kings", osis: "1Kgs", usfm: "1KI", chapters: 22 },
+  { name: "2 Kings", osis: "2Kgs", usfm: "2KI", chapters: 25 },
+  { name: "1 Chronicles", osis: "1Chr", usfm: "1CH", chapters: 29 },
+  { name: "2 Chronicles", osis: "2Chr", usfm: "2CH", chapters: 36 },
+  { name: "Ezra", osis: "Ezra", usfm: "EZR", chapters: 10 },
+  { name: "Nehemiah", osis: "Neh", usfm: "NEH", chapters: 13 },
+  { name: "Esther", osis: "Esth", usfm: "EST", chapters: 10 },
+  { name: "Job", osis: "Job", usfm: "JOB", chapters: 42 },
+  { name: "Psalms", osis: "Ps", usfm: "PSA", chapters: 150 },
+  { name: "Proverbs", osis: "Prov", usfm: "PRO", chapters: 31 },
+  { name: "Ecclesiastes", osis: "Eccl", usfm: "ECC", chapters: 12 },
+  { name: "Song of Solomon", osis: "Song", usfm: "SNG", chapters: 8 },
+  { name: "Isaiah", osis: "Isa", usfm: "ISA", chapters: 66 },
+  { name: "Jeremiah", osis: "Jer", usfm: "JER", chapters: 52 },
+  { name: "Lamentations", osis: "Lam", usfm: "LAM", chapters: 5 },
+  { name: "Ezekiel", osis: "Ezek", usfm: "EZK", chapters: 48 },
+  { name: "Daniel", osis: "Dan", usfm: "DAN", chapters: 12 },
+  { name: "Hosea", osis: "Hos", usfm: "HOS", chapters: 14 },
+  { name: "Joel", osis: "Joel", usfm: "JOL", chapters: 3 },
+  { name: "Amos", osis: "Amos", usfm: "AMO", chapters: 9 },
+  { name: "Obadiah", osis: "Obad", usfm: "OBA", chapters: 1 },
+  { name: "Jonah", osis: "Jonah", usfm: "JON", chapters: 4 },
+  { name: "Micah", osis: "Mic", usfm: "MIC", chapters: 7 },
+  { name: "Nahum", osis: "Nah", usfm: "NAM", chapters: 3 },
+  { name: "Habakkuk", osis: "Hab", usfm: "HAB", chapters: 3 },
+  { name: "Zephaniah", osis: "Zeph", usfm: "ZEP", chapters: 3 },
+  { name: "Haggai", osis: "Hag", usfm: "HAG", chapters: 2 },
+  { name: "Zechariah", osis: "Zech", usfm: "ZEC", chapters: 14 },
+  { name: "Malachi", osis: "Mal", usfm: "MAL", chapters: 4 },
+
+  { name: "Matthew", osis: "Matt", usfm: "MAT", chapters: 28 },
+  { name: "Mark", osis: "Mark", usfm: "MRK", chapters: 16 },
+  { name: "Luke", osis: "Luke", usfm: "LUK", chapters: 24 },
+  { name: "John", osis: "John", usfm: "JHN", chapters: 21 },
+  { name: "Acts", osis: "Acts", usfm: "ACT", chapters: 28 },
+  { name: "Romans", osis: "Rom", usfm: "ROM", chapters: 16 },
+  { name: "1 Corinthians", osis: "1Cor", usfm: "1CO", chapters: 16 },
+  { name: "2 Corinthians", osis: "2Cor", usfm: "2CO", chapters: 13 },
+  { name: "Galatians", osis: "Gal", usfm: "GAL", chapters: 6 },
+  { name: "Ephesians", osis: "Eph", usfm: "EPH", chapters: 6 },
+  { name: "Philippians", osis: "Phil", usfm: "PHP", chapters: 4 },
+  { name: "Colossians", osis: "Col", usfm: "COL", chapters: 4 },
+  { name: "1 Thessalonians", osis: "1Thess", usfm: "1TH", chapters: 5 },
+  { name: "2 Thessalonians", osis: "2Thess", usfm: "2TH", chapters: 3 },
+  { name: "1 Timothy", osis: "1Tim", usfm: "1TI", chapters: 6 },
+  { name: "2 Timothy", osis: "2Tim", usfm: "2TI", chapters: 4 },
+  { name: "Titus", osis: "Titus", usfm: "TIT", chapters: 3 },
+  { name: "Philemon", osis: "Phlm", usfm: "PHM", chapters: 1 },
+  { name: "Hebrews", osis: "Heb", usfm: "HEB", chapters: 13 },
+  { name: "James", osis: "Jas", usfm: "JAS", chapters: 5 },
+  { name: "1 Peter", osis: "1Pet", usfm: "1PE", chapters: 5 },
+  { name: "2 Peter", osis: "2Pet", usfm: "2PE", chapters: 3 },
+  { name: "1 John", osis: "1John", usfm: "1JN", chapters: 5 },
+  { name: "2 John", osis: "2John", usfm: "2JN", chapters: 1 },
+  { name: "3 John", osis: "3John", usfm: "3JN", chapters: 1 },
+  { name: "Jude", osis: "Jude", usfm: "JUD", chapters: 1 },
+  { name: "Revelation", osis: "Rev", usfm: "REV", chapters: 22 },
+
+  { name: "Tobit", osis: "Tob", usfm: "TOB", chapters: 14, section: "dc", number: 69 },
+  { name: "Judith", osis: "Jdt", usfm: "JDT", chapters: 16, section: "dc", number: 67 },
+  { name: "Additions to Esther", osis: "AddEsth", usfm: "ESG", chapters: 7, first: 10, section: "dc", number: 75 },
+  { name: "Wisdom", osis: "Wis", usfm: "WIS", chapters: 19, section: "dc", number: 68 },
+  { name: "Sirach", osis: "Sir", usfm: "SIR", chapters: 51, section: "dc", number: 70 },
+  { name: "Baruch", osis: "Bar", usfm: "BAR", chapters: 6, section: "dc", number: 71 },
+  { name: "Letter of Jeremiah", osis: "EpJer", usfm: "LJE", chapters: 1, section: "dc", number: 79 },
+  { name: "Prayer of Azariah", osis: "PrAzar", usfm: "S3Y", chapters: 1, section: "dc" },
+  { name: "Susanna", osis: "Sus", usfm: "SUS", chapters: 1, section: "dc" },
+  { name: "Bel and the Dragon", osis: "Bel", usfm: "BEL", chapters: 1, section: "dc" },
+  { name: "1 Maccabees", osis: "1Macc", usfm: "1MA", chapters: 16, section: "dc", number: 72 },
+  { name: "2 Maccabees", osis: "2Macc", usfm: "2MA", chapters: 15, section: "dc", number: 73 },
+  { name: "1 Esdras", osis: "1Esd", usfm: "1ES", chapters: 9, section: "dc", number: 80 },
+  { name: "2 Esdras", osis: "2Esd", usfm: "2ES", chapters: 16, section: "dc", number: 81 },
+  { name: "Prayer of Manasseh", osis: "PrMan", usfm: "MAN", chapters: 1, section: "dc", number: 76 }
+];
+
+BOOK_TABLE.forEach((b, i) => {
+  if (!b.section) b.section = i < 39 ? "ot" : "nt";
+  if (!b.number && b.section !== "dc") b.number = i + 1;
+});
+
+// Every known book name, protestant canon first
+export const BOOKS = BOOK_TABLE.map(b => b.name);
+
+export const CHAPTER_COUNTS = Object.fromEntries(BOOK_TABLE.map(b => [b.name, b.chapters]));
+
+export const FIRST_CHAPTER = Object.fromEntries(BOOK_TABLE.filter(b => b.first).map(b => [b.name, b.first]));
+
+const BY_NUMBER = new Map(BOOK_TABLE.filter(b => b.number).map(b => [b.number, b.name]));
+const BY_OSIS = new Map(BOOK_TABLE.map(b => [b.osis.toLowerCase(), b.name]));
+const BY_USFM = new Map(BOOK_TABLE.map(b => [b.usfm, b.name]));
+const BY_SECTION = new Map(BOOK_TABLE.map(b => [b.name, b.section]));
+
+// Spelling variants seen in exported spreadsheets and Zefania bname attributes
+const NAME_ALIASES = {
+  "psalm": "Psalms",
+  "song of songs": "Song of Solomon",
+  "canticles": "Song of Solomon",
+  "revelations": "Revelation",
+  "revelation of john": "Revelation",
+  "qoheleth": "Ecclesiastes",
+  "tobias": "Tobit",
+  "wisdom of solomon": "Wisdom",
+  "ecclesiasticus": "Sirach",
+  "ben sira": "Sirach",
+  "rest of esther": "Additions to Esther",
+  "esther (greek)": "Additions to Esther",
+  "epistle of jeremy": "Letter of Jeremiah",
+  "epistle of jeremiah": "Letter of Jeremiah",
+  "song of the three children": "Prayer of Azariah",
+  "song of the three holy children": "Prayer of Azariah",
+  "song of three youths": "Prayer of Azariah",
+  "bel": "Bel and the Dragon",
+  "prayer of manasses": "Prayer of Manasseh",
+  "1 machabees": "1 Maccabees",
+  "2 machabees": "2 Maccabees",
+  "i maccabees": "1 Maccabees",
+  "ii maccabees": "2 Maccabees",
+  "i esdras": "1 Esdras",
+  "ii esdras": "2 Esdras"
+};
+
+const BY_NAME = new Map([
+  ...BOOK_TABLE.map(b => [b.name.toLowerCase(), b.name]),
+  ...Object.entries(NAME_ALIASES)
+]);
+
+/* --------------------------------- Canons --------------------------------- */
+
+export const DEFAULT_CANON = "protestant";
+
+const OT = BOOK_TABLE.filter(b => b.section === "ot").map(b => b.name);
+const NT = BOOK_TABLE.filter(b => b.section === "nt").map(b => b.name);
+
+// inserts: [["Nehemiah", "Tobit", "Judith"], …] puts the books after the first one
+function withInserted(list, inserts) {
+  const out = list.slice();
+  for (const [after, ...books] of inserts) {
+    out.splice(out.indexOf(after) + 1, 0, ...books);
+  }
+  return out;
+}
+
+const CANONS = {
+  protestant: {
+    label: "Protestant (66 books)",
+    books: [...OT, ...NT]
+  },
+  // Greek additions are part of Esther and Daniel (Daniel 3:24-90, 13, 14);
+  // the Letter of Jeremiah is Baruch 6
+  catholic: {
+    label: "Catholic (73 books)",
+    books: [
+      ...withInserted(OT, [
+        ["Nehemiah", "Tobit", "Judith"],
+        ["Esther", "1 Maccabees", "2 Maccabees"],
+        ["Song of Solomon", "Wisdom", "Sirach"],
+        ["Lamentations", "Baruch"]
+      ]),
+      ...NT
+    ]
+  },
+  // KJV 1611 order: the Apocrypha between the testaments
+  kjv1611: {
+    label: "KJV 1611 with Apocrypha",
+    books: [
+      ...OT,
+      "1 Esdras", "2 Esdras", "Tobit", "Judith", "Additions to Esther", "Wisdom", "Sirach",
+      "Baruch", "Prayer of Azariah", "Susanna", "Bel and the Dragon", "Prayer of Manasseh",
+      "1 Maccabees", "2 Maccabees",
+      ...NT
+    ]
+  }
+};
+
+export function listCanons() {
+  return Object.entries(CANONS).map(([id, c]) => ({ id, label: c.label }));
+}
+
+export function isCanon(id) {
+  return Object.prototype.hasOwnProperty.call(CANONS, id);
+}
+
+/**
+ * Books of a canon in reading order. With present (a Set/Map/array of book
+ * names), only those books: the canon's first, then any others in BOOKS order.
+ */
+export function canonBooks(canonId = DEFAULT_CANON, present = null) {
+  const order = (CANONS[canonId] || CANONS[DEFAULT_CANON]).books;
+  if (!present) return order.slice();
+
+  const have = new Set(present instanceof Map ? present.keys() : present);
+  const inCanon = new Set(order);
+  return [
+    ...order.filter(b => have.has(b)),
+    ...BOOKS.filter(b => have.has(b) && !inCanon.has(b))
+  ];
+}
+
+/* ------------------------------- Book groups ------------------------------- */
+
+// Books from first to last in table order
+function between(first, last) {
+  return BOOKS.slice(BOOKS.indexOf(first), BOOKS.indexOf(last) + 1);
+}
+
+const BOOK_GROUPS = {
+  ot: { label: "Old Testament", books: OT },
+  nt: { label: "New Testament", books: NT },
+  dc: { label: "Deuterocanon / Apocrypha", books: BOOK_TABLE.filter(b => b.section === "dc").map(b => b.name) },
+  law: { label: "Law (Genesis–Deuteronomy)", books: between("Genesis", "Deuteronomy") },
+  history: { label: "History (Joshua–Esther)", books: between("Joshua", "Esther") },
+  wisdom: { label: "Wisdom & Poetry (Job–Song of Solomon)", books: between("Job", "Song of Solomon") },
+  prophets: { label: "Prophets (Isaiah–Malachi)", books: between("Isaiah", "Malachi") },
+  majorProphets: { label: "Major Prophets (Isaiah–Daniel)", books: between("Isaiah", "Daniel") },
+  minorProphets: { label: "Minor Prophets (Hosea–Malachi)", books: between("Hosea", "Malachi") },
+  gospels: { label: "Gospels", books: between("Matthew", "John") },
+  gospelsActs: { label: "Gospels & Acts", books: between("Matthew", "Acts") },
+  paul: { label: "Paul's Letters (Romans–Philemon)", books: between("Romans", "Philemon") },
+  general: { label: "General Letters (Hebrews–Jude)", books: between("Hebrews", "Jude") }
+};
+
+export function listBookGroups() {
+  return Object.entries(BOOK_GROUPS).map(([id, g]) => ({ id, label: g.label }));
+}
+
+/**
+ * Book names of a group ([] for an unknown id).
+ */
+export function groupBooks(id) {
+  return Object.prototype.hasOwnProperty.call(BOOK_GROUPS, id) ? BOOK_GROUPS[id].books.slice() : [];
+}
+
+/* --------------------------------- Lookup --------------------------------- */
+
+/**
+ * 1 -> "Genesis", 67 -> "Judith". Returns "" for unknown numbers.
+ */
+export function bookFromNumber(n) {
+  return BY_NUMBER.get(Number(n)) || "";
+}
+
+/**
+ * "ot", "dc" or "nt" for a canonical book name ("" if unknown).
+ */
+export function bookSection(name) {
+  return BY_SECTION.get(name) || "";
+}
+
+/**
+ * "Gen" -> "Genesis". Case-insensitive; returns "" for unknown ids.
+ */
+export function bookFromOsisId(osisId) {
+  return BY_OSIS.get(String(osisId || "").trim().toLowerCase()) || "";
+}
+
+/**
+ * "GEN" -> "Genesis". Case-insensitive; returns "" for unknown codes.
+ */
+export function bookFromUsfmCode(code) {
+  return BY_USFM.get(String(code || "").trim().toUpperCase()) || "";
+}
+
+/**
+ * Best-effort book lookup for importers: accepts a book number (1..66, or
+ * a Zefania number for deuterocanonical books), a canonical name, an OSIS id or a USFM code. Returns "" if unknown.
+ */
+export function resolveBook(value) {
+  const v = String(value ?? "").trim();
+  if (!v) return "";
+
+  if (/^\d+$/.test(v)) return bookFromNumber(v);
+
+  const key = v.toLowerCase().replace(/\s+/g, " ");
+  return BY_NAME.get(key) || bookFromOsisId(v) || bookFromUsfmCode(v);
+}
@@ -0,0 +1,121 @@
+/**
+ * concordance.js
+ * -----------------------------------------------------------------------------
+ * Word list of a translation: every distinct word (search term,
+ * searchNormalize.js) with how often it occurs, in how many verses, and in
+ * which books. Built from the verse store on first use and kept in the
+ * "concordance" store, one row per translation:
+ *
+ *   { translation, version, indexBuiltAt, builtAt, books: ["Genesis", …],
+ *     total, words: [{ term, word, count, verses, books: [book, n, …] }] }
+ *
+ * word is the spelling seen most often ("LORD", "Señor"); books pairs an
+ * index into row.books with the number of occurrences there. words are
+ * sorted most frequent first. The row belongs to the translation's search
+ * index (indexBuiltAt): rebuilding or dropping the index (a new import,
+ * dropSearchIndex()) makes it stale. The verses of a word come from the
+ * index (termVerseKeys()).
+ * -----------------------------------------------------------------------------
+ */
+
+import { stores, getOne, putOne, readStore } from "./db.js";
+import { BOOKS } from "./books.js";
+import { ensureSearchIndex } from "./searchIndex.js";
+import { locateWords } from "./searchNormalize.js";
+
+// Bump when the row layout changes: older rows are rebuilt
+export const CONCORDANCE_VERSION = 1;
+
+const BOOK_ORDER = new Map(BOOKS.map((b, i) => [b, i]));
+
+/**
+ * Counts the words of meta.store. onProgress(verses) after each batch.
+ */
+export async function buildConcordance(db, meta, indexBuiltAt, onProgress = null) {
+  const entries = new Map();   // term -> { count, verses, forms, books, lastVerse }
+  const bookIds = new Map();   // book -> index in found books
+  let verses = 0;
+  let total = 0;
+
+  for await (const rows of readStore(db, meta.store)) {
+    for (const row of rows) {
+      verses++;
+      if (!bookIds.has(row.book)) bookIds.set(row.book, bookIds.size);
+      const book = bookIds.get(row.book);
+
+      for (const { term, start, end } of locateWords(row.text, meta.language)) {
+        total++;
+        let e = entries.get(term);
+        if (!e) {
+          e = { count: 0, verses: 0, forms: new Map(), books: new Map(), lastVerse: -1 };
+          entries.set(term, e);
+        }
+        e.count++;
+        if (e.lastVerse !== verses) {
+          e.verses++;
+          e.lastVerse = verses;
+        }
+        const form = row.text.slice(start, end);
+        e.forms.set(form, (e.forms.get(form) || 0) + 1);
+        e.books.set(book, (e.books.get(book) || 0) + 1);
+      }
+    }
+    onProgress?.(verses);
+  }
+
+  // Books in Bible order (the store is in key order)
+  const found = Array.from(bookIds.keys());
+  const books = found.slice().sort((a, b) => (BOOK_ORDER.get(a) ?? Infinity) - (BOOK_ORDER.get(b) ?? Infinity));
+  const position = new Map(books.map((b, i) => [b, i]));
+  const remap = found.map(b => position.get(b));
+
+  const words = [];
+  for (const [term, e] of entries) {
+    let word = term;
+    let best = 0;
+    for (const [form, n] of e.forms) {
+      if (n > best) {
+        word = form;
+        best = n;
+      }
+    }
+    const byBook = Array.from(e.books, ([b, n]) => [remap[b], n]).sort((x, y) => x[0] - y[0]);
+    words.push({ term, word, count: e.count, verses: e.verses, books: byBook.flat() });
+  }
+  words.sort((a, b) => (b.count - a.count) || a.term.localeCompare(b.term));
+
+  const row = {
+    translation: meta.id,
+    version: CONCORDANCE_VERSION,
+    indexBuiltAt,
+    builtAt: Date.now(),
+    books,
+    total,
+    words
+  };
+  await putOne(db, stores().CONCORDANCE, row);
+  return row;
+}
+
+/**
+ * The translation's concordance, built first when there is none or it is
+ * older than the search index (which is built first if needed).
+ * onProgress(verses, stage) while either is built ("index", "words").
+ */
+export async function ensureConcordance(db, meta, onProgress = null) {
+  const docs = await ensureSearchIndex(db, meta, n => onProgress?.(n, "index"));
+  const row = await getOne(db, stores().CONCORDANCE, meta.id);
+  if (row && row.version === CONCORDANCE_VERSION && row.indexBuiltAt === docs.builtAt) return row;
+  return buildConcordance(db, meta, docs.builtAt, n => onProgress?.(n, "words"));
+}
+
+/**
+ * A word's occurrences per book of the concordance: Map(book -> count).
+ */
+export function wordBooks(concordance, word) {
+  const out = new Map();
+  for (let i = 0; i < word.books.length; i += 2) {
+    out.set(concordance.books[word.books[i]], word.books[i + 1]);
+  }
+  return out;
+}
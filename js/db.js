@@ -3,101 +3,197 @@
  * -----------------------------------------------------------------------------
  * IndexedDB layer (single source of truth)
  * Exports used by providers.js:
- * - openDb, stores
+ * - openDb, stores, registerVerseStores
  * - putOne, putMany
  * - getOne, getAll, getAllByIndex
- * - deleteOne
- * - countStore
- * - searchTextCursor
+ * - getMany, getRange, getRangeKeys, readStore
+ * - deleteOne, deleteRange, clearStore, copyStore
+ * - countStore, listChapters, estimateStoreSize
  * -----------------------------------------------------------------------------
  */
 
 export const DB_NAME = "nightlamp_bible";
-export const DB_VERSION = 3;
 
-const STORES = {
-  KJV_VERSES: "kjv_verses",
+// Minimum schema version. The live version is bumped past this automatically
+// whenever a registered verse store or one of its indexes is missing (see
+// openDb()).
+export const DB_VERSION = 4;
 
+const STORES = {
   // Legacy NIV cache (kept for backward compatibility)
   NIV_CACHE: "niv_cache",
 
-  // Local/offline translations (XML imported)
-  NIV_VERSES: "niv_verses",
-  ESV_VERSES: "esv_verses",
-  AMP_VERSES: "amp_verses",
-  AMPC_VERSES: "ampc_verses",
-  NVI_ES_VERSES: "nvi_es_verses",
-
   BOOKMARKS: "bookmarks",
   VERSE_STYLES: "verse_styles",
-  SETTINGS: "settings"
+  SETTINGS: "settings",
+
+  // Import progress/integrity records, one per translation (importState.js)
+  IMPORTS: "imports",
+
+  // Verse store a replacing import is written to before it is swapped in
+  STAGING: "import_staging",
+
+  // Full-text index, one per translation (searchIndex.js)
+  SEARCH_DOCS: "search_docs",
+  SEARCH_TERMS: "search_terms",
+
+  // Word list with frequencies, one row per translation (concordance.js)
+  CONCORDANCE: "concordance",
+
+  // Recent and saved searches of the Search pane (providers.js)
+  SEARCH_HISTORY: "search_history"
 };
 
+// Per-translation verse stores come from the translation registry
+// (translations.js), not from this file.
+const verseStores = new Set();
+
+let _db = null;
+
 export function stores() { return STORES; }
 
+export function registerVerseStores(names) {
+  for (const n of names || []) {
+    if (n) verseStores.add(String(n));
+  }
+}
+
+// The stores of removed translations stay in the database (cleared) but are
+// no longer created or checked on open
+export function unregisterVerseStores(names) {
+  for (const n of names || []) verseStores.delete(String(n));
+}
+
 function storeTx(db, storeName, mode = "readonly") {
   return db.transaction(storeName, mode).objectStore(storeName);
 }
 
-export async function openDb() {
+function upgradeSchema(db, tx) {
+  // Offline translations (all share the same schema). by_strong lists the
+  // verses tagged with a Strong's number (row.strongs, formats/common.js).
+  const ensureVerseStore = (name) => {
+    const s = db.objectStoreNames.contains(name)
+      ? tx.objectStore(name)
+      : db.createObjectStore(name, { keyPath: "key" });
+    if (!s.indexNames.contains("by_book_chapter")) {
+      s.createIndex("by_book_chapter", ["book", "chapter"], { unique: false });
+    }
+    if (!s.indexNames.contains("by_strong")) {
+      s.createIndex("by_strong", "strongs", { unique: false, multiEntry: true });
+    }
+  };
+
+  for (const name of verseStores) ensureVerseStore(name);
+
+  // NIV cache (legacy)
+  ensureVerseStore(STORES.NIV_CACHE);
+
+  ensureVerseStore(STORES.STAGING);
+
+  // Bookmarks
+  if (!db.objectStoreNames.contains(STORES.BOOKMARKS)) {
+    const s = db.createObjectStore(STORES.BOOKMARKS, { keyPath: "key" });
+    s.createIndex("by_translation", "translation", { unique: false });
+    s.createIndex("by_savedAt", "savedAt", { unique: false });
+  }
+
+  // Verse styles
+  if (!db.objectStoreNames.contains(STORES.VERSE_STYLES)) {
+    const s = db.createObjectStore(STORES.VERSE_STYLES, { keyPath: "key" });
+    s.createIndex("by_ref", ["translation", "book", "chapter"], { unique: false });
+    s.createIndex("by_translation", "translation", { unique: false });
+    s.createIndex("by_updatedAt", "updatedAt", { unique: false });
+  }
+
+  // Settings
+  if (!db.objectStoreNames.contains(STORES.SETTINGS)) {
+    db.createObjectStore(STORES.SETTINGS, { keyPath: "key" });
+  }
+
+  // Import state
+  if (!db.objectStoreNames.contains(STORES.IMPORTS)) {
+    db.createObjectStore(STORES.IMPORTS, { keyPath: "translation" });
+  }
+
+  // Search index
+  if (!db.objectStoreNames.contains(STORES.SEARCH_DOCS)) {
+    db.createObjectStore(STORES.SEARCH_DOCS, { keyPath: "translation" });
+  }
+  if (!db.objectStoreNames.contains(STORES.SEARCH_TERMS)) {
+    db.createObjectStore(STORES.SEARCH_TERMS, { keyPath: ["translation", "term"] });
+  }
+
+  // Concordance
+  if (!db.objectStoreNames.contains(STORES.CONCORDANCE)) {
+    db.createObjectStore(STORES.CONCORDANCE, { keyPath: "translation" });
+  }
+
+  // Search history
+  if (!db.objectStoreNames.contains(STORES.SEARCH_HISTORY)) {
+    db.createObjectStore(STORES.SEARCH_HISTORY, { keyPath: "key" });
+  }
+}
+
+function openAtVersion(version) {
   return new Promise((resolve, reject) => {
-    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    const req = version ? indexedDB.open(DB_NAME, version) : indexedDB.open(DB_NAME);
 
-    req.onupgradeneeded = () => {
-      const db = req.result;
+    req.onupgradeneeded = () => upgradeSchema(req.result, req.transaction);
 
-      // KJV verses
-      if (!db.objectStoreNames.contains(STORES.KJV_VERSES)) {
-        const s = db.createObjectStore(STORES.KJV_VERSES, { keyPath: "key" });
-        s.createIndex("by_book_chapter", ["book", "chapter"], { unique: false });
-      }
-
-      // Additional offline translations (same schema as KJV)
-      const ensureVerseStore = (name) => {
-        if (!db.objectStoreNames.contains(name)) {
-          const s = db.createObjectStore(name, { keyPath: "key" });
-          s.createIndex("by_book_chapter", ["book", "chapter"], { unique: false });
-        }
+    req.onsuccess = () => {
+      const db = req.result;
+      // Let other tabs (or a later openDb() call) upgrade the schema
+      db.onversionchange = () => {
+        db.close();
+        if (_db === db) _db = null;
       };
-
-      ensureVerseStore(STORES.NIV_VERSES);
-      ensureVerseStore(STORES.ESV_VERSES);
-      ensureVerseStore(STORES.AMP_VERSES);
-      ensureVerseStore(STORES.AMPC_VERSES);
-      ensureVerseStore(STORES.NVI_ES_VERSES);
-
-      // NIV cache (legacy)
-      if (!db.objectStoreNames.contains(STORES.NIV_CACHE)) {
-        const s = db.createObjectStore(STORES.NIV_CACHE, { keyPath: "key" });
-        s.createIndex("by_book_chapter", ["book", "chapter"], { unique: false });
-      }
-
-      // Bookmarks
-      if (!db.objectStoreNames.contains(STORES.BOOKMARKS)) {
-        const s = db.createObjectStore(STORES.BOOKMARKS, { keyPath: "key" });
-        s.createIndex("by_translation", "translation", { unique: false });
-        s.createIndex("by_savedAt", "savedAt", { unique: false });
-      }
-
-      // Verse styles
-      if (!db.objectStoreNames.contains(STORES.VERSE_STYLES)) {
-        const s = db.createObjectStore(STORES.VERSE_STYLES, { keyPath: "key" });
-        s.createIndex("by_ref", ["translation", "book", "chapter"], { unique: false });
-        s.createIndex("by_translation", "translation", { unique: false });
-        s.createIndex("by_updatedAt", "updatedAt", { unique: false });
-      }
-
-      // Settings
-      if (!db.objectStoreNames.contains(STORES.SETTINGS)) {
-        db.createObjectStore(STORES.SETTINGS, { keyPath: "key" });
-      }
+      resolve(db);
     };
-
-    req.onsuccess = () => resolve(req.result);
     req.onerror = () => reject(req.error);
   });
 }
 
+function missingStores(db) {
+  const wanted = [...verseStores, ...Object.values(STORES)];
+  return wanted.filter(name => !db.objectStoreNames.contains(name));
+}
+
+// Verse stores created before an index was added to upgradeSchema()
+function missingIndexes(db) {
+  const names = [...verseStores].filter(name => db.objectStoreNames.contains(name));
+  if (!names.length) return [];
+  const tx = db.transaction(names, "readonly");
+  return names.filter(name => !tx.objectStore(name).indexNames.contains("by_strong"));
+}
+
+function needsUpgrade(db) {
+  return db.version < DB_VERSION || missingStores(db).length > 0 || missingIndexes(db).length > 0;
+}
+
+/**
+ * Returns the shared connection, upgrading the schema first if a registered
+ * store does not exist yet. Callers holding an older connection should use the
+ * returned one: an upgrade closes the previous connection.
+ */
+export async function openDb() {
+  if (_db && !missingStores(_db).length) return _db;
+
+  if (_db) {
+    _db.close();
+    _db = null;
+  }
+
+  let db = await openAtVersion(0);
+  if (needsUpgrade(db)) {
+    const next = Math.max(DB_VERSION, db.version + 1);
+    db.close();
+    db = await openAtVersion(next);
+  }
+
+  _db = db;
+  return db;
+}
+
 export async function countStore(db, storeName) {
   return new Promise((resolve, reject) => {
     const req = storeTx(db, storeName).count();
@@ -106,6 +202,80 @@ export async function countStore(db, storeName) {
   });
 }
 
+/**
+ * Chapters present in a verse store: Map(book -> Set(chapter)).
+ * Walks the unique keys of by_book_chapter, so no verse is loaded.
+ */
+export async function listChapters(db, storeName) {
+  return new Promise((resolve, reject) => {
+    const out = new Map();
+    const req = storeTx(db, storeName).index("by_book_chapter").openKeyCursor(null, "nextunique");
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return resolve(out);
+      const [book, chapter] = cursor.key;
+      if (!out.has(book)) out.set(book, new Set());
+      out.get(book).add(chapter);
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Rough on-disk size of a store: average JSON size of the first rows times
+ * the row count, plus ~20% for keys and indexes. -> { count, bytes }
+ */
+export async function estimateStoreSize(db, storeName, sample = 200) {
+  const count = await countStore(db, storeName);
+  if (!count) return { count, bytes: 0 };
+
+  const rows = await new Promise((resolve, reject) => {
+    const req = storeTx(db, storeName).getAll(null, sample);
+    req.onsuccess = () => resolve(req.result || []);
+    req.onerror = () => reject(req.error);
+  });
+
+  const avg = rows.reduce((n, r) => n + JSON.stringify(r).length, 0) / (rows.length || 1);
+  return { count, bytes: Math.round(avg * count * 1.2) };
+}
+
+/**
+ * Replaces the rows of toStore with those of fromStore (verse stores, keyed
+ * by "key"), batchSize rows per transaction. onBatch(copied) after each batch.
+ */
+export async function copyStore(db, fromStore, toStore, batchSize = 1000, onBatch = null) {
+  await clearStore(db, toStore);
+
+  let copied = 0;
+  for await (const rows of readStore(db, fromStore, batchSize)) {
+    await putMany(db, toStore, rows);
+    copied += rows.length;
+    onBatch?.(copied);
+  }
+  return copied;
+}
+
+/**
+ * Rows of a store keyed by "key" (verse stores), batchSize per transaction,
+ * in key order. Usage: for await (const rows of readStore(db, name)) …
+ */
+export async function* readStore(db, storeName, batchSize = 1000) {
+  let after = null;
+  for (;;) {
+    const rows = await new Promise((resolve, reject) => {
+      const range = after === null ? null : IDBKeyRange.lowerBound(after, true);
+      const req = storeTx(db, storeName).getAll(range, batchSize);
+      req.onsuccess = () => resolve(req.result || []);
+      req.onerror = () => reject(req.error);
+    });
+    if (!rows.length) return;
+
+    yield rows;
+    after = rows[rows.length - 1].key;
+  }
+}
+
 export async function putMany(db, storeName, rows) {
   return new Promise((resolve, reject) => {
     const store = storeTx(db, storeName, "readwrite");
@@ -140,6 +310,44 @@ export async function getAll(db, storeName) {
   });
 }
 
+/**
+ * Rows for keys, in the same order (null where missing), in one transaction.
+ */
+export async function getMany(db, storeName, keys) {
+  return new Promise((resolve, reject) => {
+    const store = storeTx(db, storeName, "readonly");
+    const out = new Array(keys.length).fill(null);
+    keys.forEach((key, i) => {
+      const req = store.get(key);
+      req.onsuccess = () => { out[i] = req.result || null; };
+    });
+    store.transaction.oncomplete = () => resolve(out);
+    store.transaction.onerror = () => reject(store.transaction.error);
+  });
+}
+
+/**
+ * Rows whose key lies in [lower, upper], in key order.
+ */
+export async function getRange(db, storeName, lower, upper) {
+  return new Promise((resolve, reject) => {
+    const req = storeTx(db, storeName, "readonly").getAll(IDBKeyRange.bound(lower, upper));
+    req.onsuccess = () => resolve(req.result || []);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Keys (only) of the rows whose key lies in [lower, upper], in key order.
+ */
+export async function getRangeKeys(db, storeName, lower, upper) {
+  return new Promise((resolve, reject) => {
+    const req = storeTx(db, storeName, "readonly").getAllKeys(IDBKeyRange.bound(lower, upper));
+    req.onsuccess = () => resolve(req.result || []);
+    req.onerror = () => reject(req.error);
+  });
+}
+
 export async function getAllByIndex(db, storeName, indexName, value) {
   return new Promise((resolve, reject) => {
     const store = storeTx(db, storeName, "readonly");
@@ -160,27 +368,22 @@ export async function deleteOne(db, storeName, key) {
 }
 
 /**
- * Cursor-based search (fast enough, no full-store load).
+ * Deletes the rows whose key lies in [lower, upper].
  */
-export async function searchTextCursor(db, storeName, query, limit = 80) {
-  const q = (query || "").trim().toLowerCase();
-  if (!q) return [];
-
+export async function deleteRange(db, storeName, lower, upper) {
   return new Promise((resolve, reject) => {
-    const store = storeTx(db, storeName, "readonly");
-    const req = store.openCursor();
-
-    const hits = [];
-    req.onsuccess = () => {
-      const cursor = req.result;
-      if (!cursor || hits.length >= limit) return resolve(hits);
-
-      const v = cursor.value;
-      const text = (v.text || "").toLowerCase();
-      if (text.includes(q)) hits.push(v);
+    const store = storeTx(db, storeName, "readwrite");
+    store.delete(IDBKeyRange.bound(lower, upper));
+    store.transaction.oncomplete = () => resolve(true);
+    store.transaction.onerror = () => reject(store.transaction.error);
+  });
+}
 
-      cursor.continue();
-    };
+export async function clearStore(db, storeName) {
+  return new Promise((resolve, reject) => {
+    const store = storeTx(db, storeName, "readwrite");
+    const req = store.clear();
+    req.onsuccess = () => resolve(true);
     req.onerror = () => reject(req.error);
   });
 }
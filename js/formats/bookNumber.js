@@ -0,0 +1,76 @@
+/**
+ * formats/bookNumber.js
+ * -----------------------------------------------------------------------------
+ * "book-number-xml" parser (event handler for xmlEvents)
+ *
+ * <bible>
+ *   <testament>
+ *     <book number="1">
+ *       <chapter number="1">
+ *         <verse number="1">Text...</verse>
+ *
+ * Book numbers map to the canonical names in books.js (1..66, and the
+ * Zefania numbers for the deuterocanonical books). All text inside <verse>
+ * is kept, including text of nested elements; a leading "¶" marks a new
+ * paragraph (row.para).
+ * -----------------------------------------------------------------------------
+ */
+
+import { bookFromNumber } from "../books.js";
+import { joinParts, verseRow } from "./common.js";
+
+export function createBookNumberHandler(onVerse) {
+  const unknownBooks = new Set();
+
+  let book = "";
+  let chapter = 0;
+  let cur = null;       // { verse, parts, depth }
+
+  const finishVerse = () => {
+    if (!cur) return;
+    const { text, para } = joinParts(cur.parts);
+    if (text) onVerse(verseRow(book, chapter, cur.verse, text, { para }));
+    cur = null;
+  };
+
+  return {
+    open(name, attrs) {
+      if (cur) {
+        cur.depth++;
+        return;
+      }
+
+      if (name === "book") {
+        chapter = 0;
+        book = bookFromNumber(attrs.number);
+        if (!book && attrs.number) unknownBooks.add(attrs.number);
+      } else if (name === "chapter") {
+        chapter = Number(attrs.number) || 0;
+      } else if (name === "verse") {
+        const verse = Number(attrs.number) || 0;
+        cur = { verse, parts: [], depth: 1 };
+        if (!book || !chapter || !verse) cur.skip = true;
+      }
+    },
+
+    close() {
+      if (!cur) return;
+      cur.depth--;
+      if (cur.depth > 0) return;
+      if (cur.skip) cur = null;
+      else finishVerse();
+    },
+
+    text(str) {
+      if (cur) cur.parts.push(str);
+    },
+
+    end() {
+      finishVerse();
+    },
+
+    summary() {
+      return { unknownBooks: Array.from(unknownBooks) };
+    }
+  };
+}
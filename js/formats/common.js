@@ -0,0 +1,167 @@
+/**
+ * formats/common.js
+ * -----------------------------------------------------------------------------
+ * Small helpers shared by the Bible format parsers.
+ * -----------------------------------------------------------------------------
+ */
+
+import { bookSection } from "../books.js";
+
+export function normalizeWhitespace(s) {
+  return String(s || "")
+    .replace(/\s+/g, " ")
+    .replace(/\u00A0/g, " ")
+    .trim();
+}
+
+/**
+ * Inline styles kept on verse rows as row.spans [{ type, start, end }]:
+ * - "add" words supplied by the translators (KJV italics)
+ * - "wj"  words of Jesus (red letters)
+ * - "nd"  the divine name (LORD in small capitals)
+ * start/end are offsets into row.text (end exclusive); spans may nest.
+ * Only these types are stored, never markup from the source.
+ */
+export const SPAN_TYPES = ["add", "wj", "nd"];
+
+/**
+ * Strong's numbers are stored as "H7225" (Hebrew) / "G26" (Greek): no
+ * leading zeros, no "strong:" prefix, no letter suffix. A bare number takes
+ * defaultPrefix ("" drops it). Returns "" for anything else.
+ */
+export function normalizeStrong(value, defaultPrefix = "") {
+  const m = String(value || "").trim().match(/^(?:strongs?:)?([HG])?0*(\d{1,5})[a-z]?$/i);
+  if (!m) return "";
+  const prefix = (m[1] || defaultPrefix).toUpperCase();
+  return prefix && m[2] !== "0" ? `${prefix}${m[2]}` : "";
+}
+
+/**
+ * "strong:H0430 strong:H0853" / "G2316,G3588" -> ["H430", "H853"] (unique).
+ * Other lemma schemes in the list ("lemma.TR:θεος") are ignored.
+ */
+export function parseStrongList(value, defaultPrefix = "") {
+  const out = [];
+  for (const item of String(value || "").split(/[\s,;|]+/)) {
+    const id = normalizeStrong(item, defaultPrefix);
+    if (id && !out.includes(id)) out.push(id);
+  }
+  return out;
+}
+
+/**
+ * Prefix for untagged Strong's numbers in a book: Hebrew for the Old
+ * Testament, Greek for the rest (the deuterocanon survives in Greek).
+ */
+export function strongPrefix(book) {
+  return bookSection(book) === "ot" ? "H" : "G";
+}
+
+/**
+ * Tag of one source word: { strong: ["H430"], morph?, gloss?, xlit? }, or
+ * null when the source gives nothing. morph keeps its codes without the
+ * scheme ("robinson:N-NSF" -> "N-NSF"); gloss and xlit are the source's own
+ * English gloss and transliteration.
+ */
+export function wordTag({ strong = [], morph = "", gloss = "", xlit = "" } = {}) {
+  const codes = String(morph || "").trim().split(/\s+/).filter(Boolean).map(m => m.slice(m.indexOf(":") + 1));
+  const tag = { strong };
+  if (codes.length) tag.morph = codes.join(" ");
+  if (normalizeWhitespace(gloss)) tag.gloss = normalizeWhitespace(gloss);
+  if (normalizeWhitespace(xlit)) tag.xlit = normalizeWhitespace(xlit);
+  return strong.length || codes.length || tag.gloss || tag.xlit ? tag : null;
+}
+
+/**
+ * Joins collected verse parts into { text, spans, para, words, strongs }.
+ * A part is a string or { text, styles: ["wj", …], word: wordTag(…) }.
+ * Whitespace is normalized as normalizeWhitespace() does; spans never start
+ * or end on a space. A leading pilcrow (KJV "¶") is dropped and reported as
+ * para: "p".
+ *
+ * Consecutive parts sharing one tag object (one tagged word of the source)
+ * become one entry of words [{ start, end, strong, morph?, gloss?, xlit? }];
+ * strongs lists every number in the verse once (the "by_strong" index,
+ * db.js).
+ */
+export function joinParts(parts) {
+  let text = "";
+  let space = false;
+  let para = "";
+  const spans = [];
+  const open = new Map();      // type -> span being extended
+  const words = [];
+  let word = null;             // word being extended
+  let tagOf = null;            // tag object of that word's parts
+
+  for (const part of parts) {
+    const str = typeof part === "string" ? part : part.text;
+    const styles = typeof part === "string" ? [] : (part.styles || []).filter(t => SPAN_TYPES.includes(t));
+    const tag = typeof part === "string" ? null : part.word || null;
+
+    for (const ch of str) {
+      if (/\s/.test(ch)) {
+        if (text) space = true;
+        continue;
+      }
+      if (ch === "\u00B6" && !text) {
+        para = "p";
+        continue;
+      }
+      if (space) {
+        text += " ";
+        space = false;
+      }
+
+      for (const type of open.keys()) {
+        if (!styles.includes(type)) open.delete(type);
+      }
+      for (const type of styles) {
+        const span = open.get(type);
+        if (span) {
+          span.end = text.length + ch.length;
+        } else {
+          const next = { type, start: text.length, end: text.length + ch.length };
+          spans.push(next);
+          open.set(type, next);
+        }
+      }
+
+      if (!tag) {
+        word = null;
+        tagOf = null;
+      } else if (word && tagOf === tag) {
+        word.end = text.length + ch.length;
+      } else {
+        word = { start: text.length, end: text.length + ch.length, ...tag, strong: tag.strong.slice() };
+        words.push(word);
+        tagOf = tag;
+      }
+
+      text += ch;
+    }
+  }
+
+  const strongs = Array.from(new Set(words.flatMap(w => w.strong)));
+  return { text, spans, para, words, strongs };
+}
+
+/**
+ * Builds a verse row in the shape every verse store uses.
+ * Extra fields (notes, titles, ...) are only kept when non-empty.
+ */
+export function verseRow(book, chapter, verse, text, extras = {}) {
+  const row = {
+    key: `${book}|${chapter}|${verse}`,
+    book,
+    chapter,
+    verse,
+    text
+  };
+
+  for (const [k, v] of Object.entries(extras)) {
+    if (Array.isArray(v) ? v.length : v) row[k] = v;
+  }
+
+  return row;
+}
@@ -0,0 +1,195 @@
+/**
+ * formats/delimited.js
+ * -----------------------------------------------------------------------------
+ * Plain verse lists exported from spreadsheets:
+ *
+ *   book <TAB> chapter <TAB> verse <TAB> text      (TSV)
+ *   book , chapter , verse , "text, with commas"   (CSV, RFC 4180 quoting)
+ *
+ * The book column may hold a number (1..66, Zefania numbers for the
+ * deuterocanon), a name, an OSIS id or a USFM code. A header row is skipped.
+ * Lines that cannot be read are counted in the summary
+ * ({ badLines: { count, lines } }), never silently dropped.
+ * -----------------------------------------------------------------------------
+ */
+
+import { resolveBook } from "../books.js";
+import { normalizeWhitespace, verseRow } from "./common.js";
+
+/**
+ * Calls onRecord(fields, line) per record. Quoted fields may contain the
+ * delimiter, doubled quotes and line breaks. Text may arrive in chunks.
+ */
+function createRecordReader(delimiter, onRecord) {
+  let fields = [];
+  let field = "";
+  let inQuotes = false;
+  let quotePending = false;   // saw '"' inside quotes as the last char of a chunk
+  let skipLF = false;         // saw "\r" as the last char of a chunk
+  let line = 1;
+  let startLine = 1;
+
+  const endRecord = () => {
+    fields.push(field);
+    onRecord(fields, startLine);
+    fields = [];
+    field = "";
+    line++;
+    startLine = line;
+  };
+
+  return {
+    write(text) {
+      for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (skipLF) {
+          skipLF = false;
+          if (ch === "\n") continue;
+        }
+
+        if (quotePending) {
+          quotePending = false;
+          if (ch === "\"") {
+            field += "\"";
+            continue;
+          }
+          inQuotes = false;
+        }
+
+        if (inQuotes) {
+          if (ch === "\"") {
+            if (i + 1 >= text.length) {
+              quotePending = true;
+            } else if (text[i + 1] === "\"") {
+              field += "\"";
+              i++;
+            } else {
+              inQuotes = false;
+            }
+          } else {
+            if (ch === "\n") line++;
+            field += ch;
+          }
+          continue;
+        }
+
+        if (ch === "\"" && field === "") {
+          inQuotes = true;
+        } else if (ch === delimiter) {
+          fields.push(field);
+          field = "";
+        } else if (ch === "\n" || ch === "\r") {
+          if (ch === "\r") {
+            if (i + 1 >= text.length) skipLF = true;
+            else if (text[i + 1] === "\n") i++;
+          }
+          endRecord();
+        } else {
+          field += ch;
+        }
+      }
+    },
+
+    finish() {
+      if (field || fields.length) endRecord();
+    }
+  };
+}
+
+/**
+ * Guesses the delimiter from the first non-empty line ("" if none fits).
+ */
+export function detectDelimiter(text) {
+  const first = String(text || "").split(/\r?\n/).find(l => l.trim() && !l.startsWith("#")) || "";
+  if ((first.match(/\t/g) || []).length >= 3) return "\t";
+  if ((first.match(/,/g) || []).length >= 3) return ",";
+  if ((first.match(/;/g) || []).length >= 3) return ";";
+  return "";
+}
+
+/**
+ * onVerse(row) per verse; returns { unknownBooks, badLines }.
+ * delimiter defaults to detectDelimiter(text).
+ */
+export function parseDelimited(text, onVerse, delimiter = "") {
+  const src = String(text || "");
+  const stream = createDelimitedStream(onVerse, delimiter || detectDelimiter(src.replace(/^\uFEFF/, "")));
+  stream.write(src);
+  return stream.finish();
+}
+
+/**
+ * Incremental form of parseDelimited(): write(chunk) any number of times,
+ * then finish() -> summary. The delimiter must be known up front.
+ */
+export function createDelimitedStream(onVerse, delimiter = "\t") {
+  const sep = delimiter || "\t";
+
+  const unknownBooks = new Set();
+  const badLines = { count: 0, lines: [] };
+  const bad = (line) => {
+    badLines.count++;
+    if (badLines.lines.length < 5) badLines.lines.push(line);
+  };
+
+  let sawData = false;
+  let started = false;
+
+  const onRecord = (fields, line) => {
+    if (fields.length === 1 && !fields[0].trim()) return;
+    if (fields[0].trim().startsWith("#")) return;
+
+    if (fields.length < 4) {
+      bad(line);
+      return;
+    }
+
+    const [rawBook, rawChapter, rawVerse] = fields.map(f => f.trim());
+    const chapter = Number(rawChapter);
+    const verse = Number(rawVerse);
+
+    if (!Number.isInteger(chapter) || !Number.isInteger(verse) || chapter < 1 || verse < 1) {
+      // The first row may be a header ("book, chapter, verse, text")
+      if (!sawData) {
+        sawData = true;
+        return;
+      }
+      bad(line);
+      return;
+    }
+    sawData = true;
+
+    const book = resolveBook(rawBook);
+    if (!book) {
+      unknownBooks.add(rawBook);
+      return;
+    }
+
+    const verseText = normalizeWhitespace(fields.slice(3).join(sep === "\t" ? " " : sep));
+    if (!verseText) {
+      bad(line);
+      return;
+    }
+
+    onVerse(verseRow(book, chapter, verse, verseText));
+  };
+
+  const reader = createRecordReader(sep, onRecord);
+
+  return {
+    write(chunk) {
+      let s = String(chunk || "");
+      if (!started && s) {
+        s = s.replace(/^\uFEFF/, "");
+        started = true;
+      }
+      reader.write(s);
+    },
+
+    finish() {
+      reader.finish();
+      return { unknownBooks: Array.from(unknownBooks), badLines };
+    }
+  };
+}
@@ -0,0 +1,246 @@
+/**
+ * formats/osis.js
+ * -----------------------------------------------------------------------------
+ * OSIS XML parser (event handler for xmlEvents)
+ *
+ * Understands both verse styles OSIS allows:
+ *
+ *   Container:  <verse osisID="Gen.1.1">In the beginning…</verse>
+ *   Milestone:  <verse sID="Gen.1.1" osisID="Gen.1.1"/>In the beginning…
+ *               <verse eID="Gen.1.1"/>
+ *
+ * Book, chapter and verse come from the osisID ("Gen.1.1" -> Genesis 1:1).
+ * <note> and <title> content is never mixed into the verse text:
+ * - notes inside a verse   -> row.notes  [{ type, n, text }]
+ * - titles before a verse  -> row.titles [{ type, text }] of the next verse
+ * - titles inside a verse  -> row.titles of that verse (e.g. Psalm titles)
+ * - <p>, <milestone type="x-p"> or <l level> opening a verse -> row.para
+ *   ("p", "q1", "q2", …)
+ *
+ * Inline styles become row.spans (see common.js): <transChange type="added">
+ * -> "add", <divineName> -> "nd", <q who="Jesus"> (container or milestone,
+ * which may span verses) -> "wj". <w lemma="strong:H0430" morph="…"> tags a
+ * word with Strong's numbers and morphology (row.words / row.strongs, see
+ * common.js); its gloss and xlit attributes are kept too.
+ * -----------------------------------------------------------------------------
+ */
+
+import { bookFromOsisId } from "../books.js";
+import { normalizeWhitespace, joinParts, parseStrongList, strongPrefix, wordTag, verseRow } from "./common.js";
+
+// Book/running-head titles are not section headings
+const IGNORED_TITLE_TYPES = new Set(["main", "runningHead", "x-chapterLabel", "chapter"]);
+
+// Container elements that carry an inline style: name -> span type (or null)
+function spanType(name, attrs) {
+  if (name === "transChange") return attrs.type === "added" ? "add" : null;
+  if (name === "divineName") return "nd";
+  if (name === "q") return attrs.who === "Jesus" ? "wj" : null;
+  return undefined;
+}
+
+// Elements that separate words visually (poetry lines, paragraphs)
+const BREAK_ELEMENTS = new Set(["l", "lb", "lg", "p", "div", "list", "item"]);
+
+/**
+ * "Gen.1.1" / "KJV:Gen.1.1" / "Gen.1.1-Gen.1.3" / "Gen.1.1 Gen.1.2"
+ * -> { book: "Genesis", chapter: 1, verse: 1 } (first verse of a bridge)
+ */
+export function parseOsisRef(ref) {
+  let first = String(ref || "").trim().split(/\s+/)[0] || "";
+  first = first.split("-")[0].split("!")[0];
+  if (first.includes(":")) first = first.slice(first.indexOf(":") + 1);
+
+  const [osisBook, c, v] = first.split(".");
+  return {
+    osisBook: osisBook || "",
+    book: bookFromOsisId(osisBook),
+    chapter: Number(c) || 0,
+    verse: Number(v) || 0
+  };
+}
+
+/**
+ * onVerse(row) is called once per verse, in document order.
+ * The returned handler also has summary() -> { unknownBooks: [...] }.
+ */
+export function createOsisHandler(onVerse) {
+  const verseKinds = [];       // stack of "container" | "milestone" | "end"
+  const unknownBooks = new Set();
+
+  let cur = null;              // verse being collected
+  let capture = null;          // open <note>/<title>: { kind, type, n, parts, depth, mute }
+  let pendingTitles = [];      // titles seen between verses
+  let pendingPara = "";        // paragraph opened between verses
+  const styleStack = [];       // open styled containers: { name, type }
+  const jesusQuotes = new Set(); // sIDs of open <q who="Jesus"> milestones
+  const wordStack = [];        // tag of each open <w> (null if none)
+
+  const activeStyles = () => {
+    const styles = styleStack.map(s => s.type).filter(Boolean);
+    if (jesusQuotes.size) styles.push("wj");
+    return styles;
+  };
+
+  const finishVerse = () => {
+    if (!cur) return;
+    const { text, spans, para, words, strongs } = joinParts(cur.parts);
+    if (text) {
+      onVerse(verseRow(cur.book, cur.chapter, cur.verse, text, {
+        spans,
+        words,
+        strongs,
+        para: cur.para || para,
+        notes: cur.notes,
+        titles: cur.titles
+      }));
+    }
+    cur = null;
+  };
+
+  const startVerse = (osisRef) => {
+    finishVerse();
+
+    const ref = parseOsisRef(osisRef);
+    if (!ref.book) {
+      if (ref.osisBook) unknownBooks.add(ref.osisBook);
+      return;
+    }
+    if (!ref.chapter || !ref.verse) return;
+
+    cur = { ...ref, parts: [], notes: [], titles: pendingTitles, para: pendingPara };
+    pendingTitles = [];
+    pendingPara = "";
+  };
+
+  // Only a paragraph that opens a verse is kept (mid-verse breaks are spaces)
+  const markPara = (marker) => {
+    if (!cur) pendingPara = marker;
+    else if (!cur.parts.some(p => (typeof p === "string" ? p : p.text).trim())) cur.para = marker;
+  };
+
+  const finishCapture = () => {
+    const text = normalizeWhitespace(capture.parts.join(""));
+    const c = capture;
+    capture = null;
+    if (!text) return;
+
+    if (c.kind === "note") {
+      // Notes outside a verse have nothing to attach to
+      if (cur) cur.notes.push(c.n ? { type: c.type, n: c.n, text } : { type: c.type, text });
+      return;
+    }
+
+    if (IGNORED_TITLE_TYPES.has(c.type)) return;
+    if (cur) cur.titles.push({ type: c.type, text });
+    else pendingTitles.push({ type: c.type, text });
+  };
+
+  return {
+    open(name, attrs) {
+      if (capture) {
+        capture.depth++;
+        // A note inside a title (or a note) is not part of its text
+        if (name === "note" && !capture.mute) capture.mute = capture.depth;
+        return;
+      }
+
+      if (name === "note") {
+        capture = { kind: "note", type: attrs.type || "note", n: attrs.n || "", parts: [], depth: 1, mute: 0 };
+        return;
+      }
+
+      if (name === "title") {
+        capture = { kind: "title", type: attrs.type || "section", parts: [], depth: 1, mute: 0 };
+        return;
+      }
+
+      if (name === "verse") {
+        if (attrs.eID) {
+          verseKinds.push("end");
+          finishVerse();
+        } else if (attrs.sID) {
+          verseKinds.push("milestone");
+          startVerse(attrs.osisID || attrs.sID);
+        } else {
+          verseKinds.push("container");
+          startVerse(attrs.osisID);
+        }
+        return;
+      }
+
+      if (name === "q" && (attrs.sID || attrs.eID)) {
+        if (attrs.sID && attrs.who === "Jesus") jesusQuotes.add(attrs.sID);
+        if (attrs.eID) jesusQuotes.delete(attrs.eID);
+        styleStack.push({ name, type: null });   // popped by its (empty) close
+        return;
+      }
+
+      if (name === "w") {
+        wordStack.push(cur ? wordTag({
+          strong: parseStrongList(attrs.lemma, strongPrefix(cur.book)),
+          morph: attrs.morph,
+          gloss: attrs.gloss,
+          xlit: attrs.xlit
+        }) : null);
+        return;
+      }
+
+      if (name === "p") markPara("p");
+      else if (name === "l") markPara(`q${Number(attrs.level) || 1}`);
+      else if (name === "milestone" && (attrs.type === "x-p" || attrs.type === "paragraph")) markPara("p");
+
+      const type = spanType(name, attrs);
+      if (type !== undefined) {
+        styleStack.push({ name, type });
+        return;
+      }
+
+      if (cur && BREAK_ELEMENTS.has(name)) cur.parts.push(" ");
+    },
+
+    close(name) {
+      if (capture) {
+        if (capture.mute === capture.depth) capture.mute = 0;
+        capture.depth--;
+        if (capture.depth === 0) finishCapture();
+        return;
+      }
+
+      if (name === "verse") {
+        if (verseKinds.pop() === "container") finishVerse();
+        return;
+      }
+
+      if (name === "w" && wordStack.length) {
+        wordStack.pop();
+        return;
+      }
+
+      if (styleStack.length && styleStack[styleStack.length - 1].name === name) {
+        styleStack.pop();
+        return;
+      }
+
+      if (cur && BREAK_ELEMENTS.has(name)) cur.parts.push(" ");
+    },
+
+    text(str) {
+      if (capture) {
+        if (!capture.mute) capture.parts.push(str);
+      } else if (cur) {
+        const styles = activeStyles();
+        const word = wordStack.findLast(Boolean) || null;
+        cur.parts.push(styles.length || word ? { text: str, styles, word } : str);
+      }
+    },
+
+    end() {
+      finishVerse();
+    },
+
+    summary() {
+      return { unknownBooks: Array.from(unknownBooks) };
+    }
+  };
+}
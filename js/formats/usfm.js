@@ -0,0 +1,568 @@
+/**
+ * formats/usfm.js
+ * -----------------------------------------------------------------------------
+ * USFM (plain text) and USX (its XML form) parsers.
+ *
+ *   \id GEN
+ *   \c 1
+ *   \s1 The Creation
+ *   \p
+ *   \v 1 In the beginning \f + \fr 1.1 \ft Or, first\f* God created…
+ *
+ * Both produce the same verse rows as every other importer. Structure that is
+ * not verse text is stored separately on the row:
+ * - row.titles  [{ type, level?, text }]  headings before the verse (\s1, \d…)
+ * - row.para    "p" | "q1" | …           paragraph marker that opens the verse
+ * - row.notes   [{ type, n, text }]       footnotes (\f) and cross refs (\x)
+ * - row.spans   [{ type, start, end }]    \add, \wj and \nd (see common.js)
+ * - row.words   [{ start, end, strong, morph? }]  \w …|strong="H430"
+ *                x-morph="…"\w* (USX: <char style="w" strong="H430">)
+ *
+ * Markers we do not understand are kept as text and reported in the summary
+ * ({ unknownMarkers: [{ marker, count, lines }] }) rather than dropped.
+ * -----------------------------------------------------------------------------
+ */
+
+import { bookFromUsfmCode } from "../books.js";
+import { normalizeWhitespace, joinParts, parseStrongList, wordTag, verseRow } from "./common.js";
+
+/* ----------------------------- Marker tables ----------------------------- */
+
+// Paragraph-level markers whose content is never verse text (intro, headers…)
+const IGNORED_PARA = /^(ide|h\d?|toc\d?|toca\d?|mt\d?|mte\d?|imt\d?|imte\d?|is\d?|ip|ipi|im|imi|ipq|imq|ipr|iq\d?|ib|ili\d?|iot|io\d?|iex|ie|rem|sts|usfm|cl|cd|cp|restore|lit)$/;
+
+// Paragraph / poetry / list markers: verse text continues inside them
+const PARAGRAPH = /^(p|m|po|pr|cls|pmo|pm|pmc|pmr|pi\d?|mi|nb|pc|ph\d?|b|q\d?|qr|qc|qm\d?|qd|lh|li\d?|lf|lim\d?|pb)$/;
+
+// Table markers only separate words
+const TABLE = /^(tr|th\d?|thr\d?|thc\d?|tc\d?|tcr\d?|tcc\d?)$/;
+
+const NOTES = new Set(["f", "fe", "ef", "x", "ex"]);
+
+// Character markers used inside notes; fr/xo (origin reference) are not note text
+const NOTE_PARTS = /^(fr|fq|fqa|fk|fl|fw|fp|fv|ft|fdc|fm|xo|xk|xq|xt|xta|xop|xot|xnt|xdc)$/;
+const NOTE_SKIP = new Set(["fr", "xo"]);
+
+// Character markers whose content is kept as verse text
+const CHARS = /^(add|bk|dc|k|nd|ord|pn|png|addpn|qt|qs|qac|sig|sls|tl|wj|em|bd|it|bdit|no|sc|sup|w|wg|wh|wa|rb|pro|jmp|lik|liv\d?|litl|ior|iqt)$/;
+
+// Character markers kept as inline styles (row.spans)
+const SPAN_MARKERS = { add: "add", wj: "wj", nd: "nd" };
+
+// Character markers whose content is not verse text
+const SKIP_CHARS = new Set(["ca", "va", "vp", "fig", "cat", "rq"]);
+
+/**
+ * Tag of a \w from its attribute list ('strong="H430" x-morph="…"').
+ */
+function usfmWordTag(attrText) {
+  const attr = (name) => attrText.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*"([^"]*)"`))?.[1] || "";
+  return wordTag({
+    strong: parseStrongList(attr("strong")),
+    morph: attr("x-morph"),
+    gloss: attr("gloss"),
+    xlit: attr("translit")
+  });
+}
+
+/**
+ * Heading type for a paragraph marker, or "" when it is not a heading.
+ */
+function headingType(marker) {
+  if (/^s\d?$/.test(marker)) return "section";
+  if (/^ms\d?$/.test(marker)) return "major";
+  switch (marker) {
+    case "mr": return "major-reference";
+    case "sr": return "section-reference";
+    case "r": return "parallel";
+    case "d": return "psalm";
+    case "sp": return "speaker";
+    case "qa": return "acrostic";
+    default: return "";
+  }
+}
+
+function headingLevel(marker) {
+  const m = marker.match(/(\d)$/);
+  return m ? Number(m[1]) : 1;
+}
+
+function noteType(marker) {
+  return marker === "x" || marker === "ex" ? "crossReference" : "footnote";
+}
+
+/* ------------------------------- Collector ------------------------------- */
+
+/**
+ * Builds verse rows from structural events; shared by the USFM and USX paths.
+ */
+function createCollector(onVerse) {
+  const unknownBooks = new Set();
+  const unknownMarkers = new Map();
+
+  let book = "";
+  let chapter = 0;
+  let cur = null;
+  let pendingTitles = [];
+  let pendingPara = "";
+
+  const finishVerse = () => {
+    if (!cur) return;
+    const { text, spans, para, words, strongs } = joinParts(cur.parts);
+    if (text) {
+      onVerse(verseRow(book, chapter, cur.verse, text, {
+        spans,
+        words,
+        strongs,
+        para: cur.para || para,
+        titles: cur.titles,
+        notes: cur.notes
+      }));
+    }
+    cur = null;
+  };
+
+  return {
+    setBook(code) {
+      finishVerse();
+      book = bookFromUsfmCode(code);
+      chapter = 0;
+      pendingTitles = [];
+      pendingPara = "";
+      if (!book && code) unknownBooks.add(String(code).toUpperCase());
+    },
+
+    setChapter(n) {
+      finishVerse();
+      chapter = n;
+    },
+
+    startVerse(n) {
+      finishVerse();
+      if (!book || !chapter || !n) return;
+      cur = { verse: n, parts: [], notes: [], titles: pendingTitles, para: pendingPara };
+      pendingTitles = [];
+      pendingPara = "";
+    },
+
+    endVerse() {
+      finishVerse();
+    },
+
+    paragraph(marker) {
+      pendingPara = marker;
+      if (cur) cur.parts.push(" ");
+    },
+
+    heading(marker, text) {
+      const t = normalizeWhitespace(text);
+      if (!t) return;
+      const type = headingType(marker);
+      const level = headingLevel(marker);
+      pendingTitles.push(level > 1 ? { type, level, text: t } : { type, text: t });
+    },
+
+    note(marker, caller, text) {
+      const t = normalizeWhitespace(text);
+      if (!cur || !t) return;
+      const type = noteType(marker);
+      cur.notes.push(caller && caller !== "+" && caller !== "-" ? { type, n: caller, text: t } : { type, text: t });
+    },
+
+    // styles: open span types (SPAN_MARKERS values); word: wordTag() of the
+    // open \w (one object per word)
+    text(str, styles = [], word = null) {
+      if (!cur) return;
+      // Text after a mid-verse paragraph marker: the marker did not open a verse
+      if (pendingPara && str.trim()) pendingPara = "";
+      cur.parts.push(styles.length || word ? { text: str, styles, word } : str);
+    },
+
+    unknown(marker, line) {
+      const entry = unknownMarkers.get(marker) || { marker, count: 0, lines: [] };
+      entry.count++;
+      if (line && entry.lines.length < 5) entry.lines.push(line);
+      unknownMarkers.set(marker, entry);
+    },
+
+    finish() {
+      finishVerse();
+    },
+
+    summary() {
+      return {
+        unknownBooks: Array.from(unknownBooks),
+        unknownMarkers: Array.from(unknownMarkers.values())
+      };
+    }
+  };
+}
+
+/* --------------------------------- USFM --------------------------------- */
+
+const TOKEN = /\\(\+?[A-Za-z]+\d*(?:-[se])?)(\*?)|\\\*/g;
+
+/**
+ * Parses a USFM document (one or more books, each starting with \id).
+ * onVerse(row) is called per verse; returns the import summary.
+ */
+export function parseUsfm(text, onVerse) {
+  const stream = createUsfmStream(onVerse);
+  stream.write(String(text || ""));
+  return stream.finish();
+}
+
+/**
+ * Incremental form of parseUsfm(): write(chunk) any number of times, then
+ * finish() -> summary. Chunks are processed up to their last line break,
+ * since a marker and its argument ("\v 12") never span lines.
+ */
+export function createUsfmStream(onVerse) {
+  const c = createCollector(onVerse);
+
+  let pending = "";
+  let held = false;
+  let line = 1;
+  let mode = "text";        // "text" | "skip" | "heading"
+  let headingMarker = "";
+  let headingParts = [];
+  let expectArg = "";       // "id" | "c" | "v" | "caller"
+  let inMilestone = false;  // between \qt-s and \*
+  let note = null;          // { marker, caller, parts, skip }
+  const chars = [];         // open character markers: { name, skip, attrs }
+
+  const finishHeading = () => {
+    if (mode === "heading") c.heading(headingMarker, headingParts.join(""));
+    headingParts = [];
+    mode = "text";
+  };
+
+  const finishNote = () => {
+    if (note) c.note(note.marker, note.caller, note.parts.join(""));
+    note = null;
+  };
+
+  // USFM 3 attributes: "\w grace|strong="G5485"\w*" -> keep "grace"; the
+  // word's tag stays on the open \w
+  const stripAttributes = (seg) => {
+    const top = chars[chars.length - 1];
+    if (!top) return seg;
+    if (top.attrs) return "";
+    const bar = seg.indexOf("|");
+    if (bar < 0) return seg;
+    top.attrs = true;
+    if (top.name === "w") top.word = usfmWordTag(seg.slice(bar + 1));
+    return seg.slice(0, bar);
+  };
+
+  const openWord = () => chars.findLast(ch => ch.word)?.word || null;
+
+  const handleText = (raw) => {
+    let seg = raw;
+
+    if (expectArg) {
+      const m = seg.match(/^\s*(\S+)/);
+      if (!m) return;
+      const arg = m[1];
+      seg = seg.slice(m[0].length);
+
+      if (expectArg === "id") {
+        c.setBook(arg);
+        mode = "skip"; // rest of the \id line is a description
+      } else if (expectArg === "c") {
+        c.setChapter(parseInt(arg, 10) || 0);
+      } else if (expectArg === "v") {
+        c.startVerse(parseInt(arg, 10) || 0);
+      } else if (expectArg === "caller" && note) {
+        note.caller = arg;
+      }
+      expectArg = "";
+    }
+
+    if (!seg || inMilestone) return;
+
+    if (note) {
+      if (!note.skip) note.parts.push(stripAttributes(seg));
+      return;
+    }
+
+    if (mode === "skip") return;
+
+    if (chars.some(ch => ch.skip)) return;
+    seg = stripAttributes(seg);
+
+    if (mode === "heading") headingParts.push(seg);
+    else c.text(seg, chars.map(ch => SPAN_MARKERS[ch.name]).filter(Boolean), openWord());
+  };
+
+  const handleMarker = (rawName, closing) => {
+    const name = rawName.replace(/^\+/, "");
+
+    if (closing) {
+      if (NOTES.has(name)) {
+        finishNote();
+        return;
+      }
+      if (note && NOTE_PARTS.test(name)) {
+        note.skip = false;
+        return;
+      }
+      const i = chars.map(ch => ch.name).lastIndexOf(name);
+      if (i >= 0) {
+        chars.length = i;
+        return;
+      }
+      if (!CHARS.test(name) && !SKIP_CHARS.has(name)) c.unknown(`\\${name}*`, line);
+      return;
+    }
+
+    // Milestones (\qt-s |who="Pilate"\*, \ts\*): attributes until "\*"
+    if (/-[se]$/.test(name) || name === "ts") {
+      inMilestone = true;
+      return;
+    }
+
+    if (note) {
+      if (NOTE_PARTS.test(name)) {
+        note.skip = NOTE_SKIP.has(name);
+        chars.length = 0;
+        return;
+      }
+      if (CHARS.test(name) || SKIP_CHARS.has(name)) {
+        chars.push({ name, skip: SKIP_CHARS.has(name), attrs: false });
+        return;
+      }
+      // A paragraph marker inside a note means the note was never closed
+      finishNote();
+    }
+
+    if (NOTES.has(name)) {
+      note = { marker: name, caller: "", parts: [], skip: false };
+      chars.length = 0;
+      expectArg = "caller";
+      return;
+    }
+
+    if (CHARS.test(name) || SKIP_CHARS.has(name)) {
+      chars.push({ name, skip: SKIP_CHARS.has(name), attrs: false });
+      return;
+    }
+
+    // Everything below is paragraph level: open character markers end here
+    chars.length = 0;
+
+    if (name === "id") {
+      finishHeading();
+      expectArg = "id";
+      return;
+    }
+
+    if (name === "c") {
+      finishHeading();
+      expectArg = "c";
+      return;
+    }
+
+    if (name === "v") {
+      if (mode === "heading") finishHeading();
+      if (mode === "skip") mode = "text";
+      expectArg = "v";
+      return;
+    }
+
+    if (headingType(name)) {
+      finishHeading();
+      mode = "heading";
+      headingMarker = name;
+      return;
+    }
+
+    if (IGNORED_PARA.test(name)) {
+      finishHeading();
+      mode = "skip";
+      return;
+    }
+
+    if (PARAGRAPH.test(name)) {
+      finishHeading();
+      c.paragraph(name);
+      return;
+    }
+
+    if (TABLE.test(name)) {
+      finishHeading();
+      c.text(" ");
+      return;
+    }
+
+    // Unknown marker: keep its text where it is, but report it
+    c.unknown(`\\${name}`, line);
+  };
+
+  const run = (src) => {
+    const re = new RegExp(TOKEN.source, "g");
+    let last = 0;
+    let m;
+    while ((m = re.exec(src))) {
+      const seg = src.slice(last, m.index);
+      handleText(seg);
+      line += (seg.match(/\n/g) || []).length;
+      last = re.lastIndex;
+
+      if (m[0] === "\\*") {
+        inMilestone = false;
+        continue;
+      }
+      handleMarker(m[1], m[2] === "*");
+    }
+    const tail = src.slice(last);
+    handleText(tail);
+    line += (tail.match(/\n/g) || []).length;
+  };
+
+  return {
+    write(chunk) {
+      let s = String(chunk || "");
+      // "\r" + "\n" may arrive in different chunks
+      if (held) s = "\r" + s;
+      held = s.endsWith("\r");
+      if (held) s = s.slice(0, -1);
+
+      pending += s.replace(/\r\n?/g, "\n");
+      const cut = pending.lastIndexOf("\n") + 1;
+      if (!cut) return;
+      run(pending.slice(0, cut));
+      pending = pending.slice(cut);
+    },
+
+    finish() {
+      run(held ? pending + "\n" : pending);
+      pending = "";
+      finishNote();
+      finishHeading();
+      c.finish();
+      return c.summary();
+    }
+  };
+}
+
+/* ---------------------------------- USX ---------------------------------- */
+
+/**
+ * USX parser (event handler for xmlEvents). The returned handler
+ * also has summary(), same shape as parseUsfm()'s result.
+ */
+export function createUsxHandler(onVerse) {
+  const c = createCollector(onVerse);
+  const modes = [];          // mode to restore when each element closes
+  const styles = [];         // span type of each open element ("" for none)
+  const words = [];          // wordTag() of each open element (null for none)
+  let mode = "text";         // "text" | "skip" | "heading" | "note" | "noteSkip"
+  let heading = null;        // { marker, parts }
+  let note = null;           // { marker, caller, parts }
+
+  return {
+    open(name, attrs) {
+      modes.push(mode);
+      const style = String(attrs.style || "");
+      styles.push(name === "char" ? SPAN_MARKERS[style] || "" : "");
+      words.push(name === "char" && style === "w" ? wordTag({
+        strong: parseStrongList(attrs.strong),
+        morph: attrs["x-morph"],
+        gloss: attrs.gloss,
+        xlit: attrs.translit
+      }) : null);
+      if (mode === "skip") return;
+
+      switch (name) {
+        case "usx":
+        case "ref":
+        case "optbreak":
+        case "ms":
+          return;
+
+        case "table":
+        case "row":
+        case "cell":
+          if (mode === "text") c.text(" ");
+          return;
+
+        case "book":
+          c.setBook(attrs.code);
+          mode = "skip";
+          return;
+
+        case "chapter":
+          if (!attrs.eid) c.setChapter(parseInt(attrs.number, 10) || 0);
+          return;
+
+        case "verse":
+          if (attrs.eid) c.endVerse();
+          else c.startVerse(parseInt(attrs.number, 10) || 0);
+          return;
+
+        case "para":
+          if (headingType(style)) {
+            heading = { marker: style, parts: [] };
+            mode = "heading";
+          } else if (IGNORED_PARA.test(style)) {
+            mode = "skip";
+          } else {
+            if (!PARAGRAPH.test(style)) c.unknown(`<para style="${style}">`, 0);
+            c.paragraph(style);
+          }
+          return;
+
+        case "note":
+          note = { marker: style || "f", caller: attrs.caller || "", parts: [] };
+          mode = "note";
+          return;
+
+        case "char":
+          if (mode === "note" && NOTE_SKIP.has(style)) mode = "noteSkip";
+          else if (SKIP_CHARS.has(style)) mode = "skip";
+          else if (!CHARS.test(style) && !NOTE_PARTS.test(style)) c.unknown(`<char style="${style}">`, 0);
+          return;
+
+        case "figure":
+        case "sidebar":
+        case "periph":
+          mode = "skip";
+          return;
+
+        default:
+          c.unknown(`<${name}>`, 0);
+      }
+    },
+
+    close(name) {
+      if (name === "note" && mode === "note" && note) {
+        c.note(note.marker, note.caller, note.parts.join(""));
+        note = null;
+      } else if (name === "para" && mode === "heading" && heading) {
+        c.heading(heading.marker, heading.parts.join(""));
+        heading = null;
+      } else if (name === "para" && mode === "text") {
+        c.text(" ");
+      }
+
+      mode = modes.pop() || "text";
+      styles.pop();
+      words.pop();
+    },
+
+    text(str) {
+      if (mode === "text") c.text(str, styles.filter(Boolean), words.findLast(Boolean) || null);
+      else if (mode === "heading" && heading) heading.parts.push(str);
+      else if (mode === "note" && note) note.parts.push(str);
+    },
+
+    end() {
+      c.finish();
+    },
+
+    summary() {
+      return c.summary();
+    }
+  };
+}
@@ -0,0 +1,170 @@
+/**
+ * formats/xmlEvents.js
+ * -----------------------------------------------------------------------------
+ * Streams XML text as a flat sequence of SAX-style events, so format parsers
+ * can be written as small state machines instead of DOM queries:
+ *
+ *   handler.open(name, attrs)   element start (attrs is a plain object)
+ *   handler.close(name)         element end (also sent for empty elements)
+ *   handler.text(str)           character data
+ *   handler.end()               after the last event
+ *
+ * Names are local names (namespace prefixes dropped). createXmlStream() takes
+ * the text in chunks and never builds a DOM (used by the import worker).
+ * -----------------------------------------------------------------------------
+ */
+
+const ENTITIES = { lt: "<", gt: ">", amp: "&", quot: "\"", apos: "'" };
+
+function decodeEntities(s) {
+  if (!s.includes("&")) return s;
+  return s.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (all, ent) => {
+    if (ent[0] === "#") {
+      const code = ent[1] === "x" ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10);
+      try { return String.fromCodePoint(code); } catch { return all; }
+    }
+    return ENTITIES[ent] ?? all;
+  });
+}
+
+function localName(name) {
+  const i = name.indexOf(":");
+  return i < 0 ? name : name.slice(i + 1);
+}
+
+function parseAttributes(src) {
+  const attrs = {};
+  const re = /([^\s=\/]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let m;
+  while ((m = re.exec(src))) {
+    const name = m[1];
+    // Namespace declarations are not attributes of the document
+    if (name === "xmlns" || name.startsWith("xmlns:")) continue;
+    attrs[localName(name)] = decodeEntities(m[2] ?? m[3] ?? "");
+  }
+  return attrs;
+}
+
+// End of a start/end tag beginning at i ("<"), skipping ">" inside quotes
+function tagEnd(buf, i) {
+  let quote = "";
+  for (let j = i + 1; j < buf.length; j++) {
+    const ch = buf[j];
+    if (quote) {
+      if (ch === quote) quote = "";
+    } else if (ch === "\"" || ch === "'") {
+      quote = ch;
+    } else if (ch === ">") {
+      return j;
+    }
+  }
+  return -1;
+}
+
+function malformed(detail) {
+  return new Error(`XML parse error (${detail}). Your Bible XML may be malformed.`);
+}
+
+/**
+ * Returns { write(chunk), finish() }. write() may be called with any slice
+ * of the document; events are sent as soon as they are complete. finish()
+ * sends handler.end() and throws if the document was cut short.
+ */
+export function createXmlStream(handler) {
+  const open = [];
+  let buf = "";
+  let sawRoot = false;
+
+  const text = (s) => {
+    if (s && open.length) handler.text?.(decodeEntities(s));
+  };
+
+  const drain = (final) => {
+    let pos = 0;
+
+    while (pos < buf.length) {
+      const lt = buf.indexOf("<", pos);
+      if (lt < 0) {
+        // Keep a trailing partial entity ("&am") for the next chunk
+        const amp = final ? -1 : buf.lastIndexOf("&");
+        const cut = amp >= pos && !buf.includes(";", amp) ? amp : buf.length;
+        text(buf.slice(pos, cut));
+        pos = cut;
+        break;
+      }
+
+      text(buf.slice(pos, lt));
+      pos = lt;
+
+      let end;
+      if (buf.startsWith("<!--", lt)) {
+        end = buf.indexOf("-->", lt + 4);
+        if (end < 0) break;
+        pos = end + 3;
+      } else if (buf.startsWith("<![CDATA[", lt)) {
+        end = buf.indexOf("]]>", lt + 9);
+        if (end < 0) break;
+        if (open.length) handler.text?.(buf.slice(lt + 9, end));
+        pos = end + 3;
+      } else if (buf.startsWith("<?", lt)) {
+        end = buf.indexOf("?>", lt + 2);
+        if (end < 0) break;
+        pos = end + 2;
+      } else if (buf.startsWith("<!", lt)) {
+        // <!DOCTYPE …> with an optional [internal subset]
+        const bracket = buf.indexOf("[", lt);
+        const close = buf.indexOf(">", lt);
+        if (close < 0) break;
+        if (bracket >= 0 && bracket < close) {
+          end = buf.indexOf("]>", bracket);
+          if (end < 0) break;
+          pos = end + 2;
+        } else {
+          pos = close + 1;
+        }
+      } else {
+        end = tagEnd(buf, lt);
+        if (end < 0) break;
+        const raw = buf.slice(lt + 1, end);
+        pos = end + 1;
+
+        if (raw[0] === "/") {
+          const name = localName(raw.slice(1).trim());
+          const expected = open.pop();
+          if (expected !== name) throw malformed(`</${name}> closes <${expected || "nothing"}>`);
+          handler.close?.(name);
+          continue;
+        }
+
+        const selfClosing = raw.endsWith("/");
+        const body = selfClosing ? raw.slice(0, -1) : raw;
+        const nameEnd = body.search(/[\s/]|$/);
+        const name = localName(body.slice(0, nameEnd));
+        if (!name) throw malformed("empty tag");
+        if (!open.length && sawRoot) throw malformed("more than one root element");
+
+        sawRoot = true;
+        handler.open?.(name, parseAttributes(body.slice(nameEnd)));
+        if (selfClosing) handler.close?.(name);
+        else open.push(name);
+      }
+    }
+
+    buf = buf.slice(pos);
+  };
+
+  return {
+    write(chunk) {
+      buf += chunk;
+      drain(false);
+    },
+
+    finish() {
+      drain(true);
+      if (buf.trim()) throw malformed("unfinished markup at the end");
+      if (!sawRoot) throw malformed("no root element");
+      if (open.length) throw malformed(`<${open[open.length - 1]}> is never closed`);
+      handler.end?.();
+    }
+  };
+}
@@ -0,0 +1,185 @@
+/**
+ * formats/zefania.js
+ * -----------------------------------------------------------------------------
+ * Zefania XML parser (event handler for xmlEvents)
+ *
+ * <XMLBIBLE>
+ *   <INFORMATION>…</INFORMATION>
+ *   <BIBLEBOOK bnumber="1" bname="Genesis">
+ *     <CHAPTER cnumber="1">
+ *       <CAPTION>The Creation</CAPTION>
+ *       <VERS vnumber="1">In the beginning… <NOTE>…</NOTE></VERS>
+ *
+ * Same row extras as the OSIS parser: CAPTION -> row.titles of the next
+ * verse, NOTE/REMARK/XREF inside a verse -> row.notes. STYLE elements become
+ * row.spans (common.js): fs="italic" -> "add", fs="divineName" -> "nd", a red
+ * css color -> "wj". <gr str="7225" rmac="…"> tags a word with Strong's
+ * numbers and morphology (row.words / row.strongs; bare numbers are Hebrew in
+ * the Old Testament, Greek elsewhere). Element names are matched case-insensitively (both
+ * XMLBIBLE and xmlbible exist in the wild).
+ * -----------------------------------------------------------------------------
+ */
+
+import { resolveBook } from "../books.js";
+import { normalizeWhitespace, joinParts, parseStrongList, strongPrefix, wordTag, verseRow } from "./common.js";
+
+const NOTE_ELEMENTS = new Set(["NOTE", "REMARK", "XREF"]);
+
+const RED = /color\s*:\s*(red|#f00\b|#ff0000|rgb\(\s*255\s*,\s*0\s*,\s*0\s*\))/i;
+
+function styleSpanType(attrs) {
+  const fs = String(attrs.fs || "").toLowerCase();
+  if (fs === "italic") return "add";
+  if (fs === "divinename") return "nd";
+  if (RED.test(String(attrs.css || ""))) return "wj";
+  return "";
+}
+
+// Containers whose text is not verse text
+const SKIP_ELEMENTS = new Set(["INFORMATION", "PROLOG", "MEDIA"]);
+
+export function createZefaniaHandler(onVerse) {
+  const unknownBooks = new Set();
+
+  let book = "";
+  let chapter = 0;
+  let cur = null;
+  let pendingTitles = [];
+  let capture = null;     // { kind: "note" | "title", type, parts, depth }
+  let skipDepth = 0;
+  const styles = [];        // span type of each open STYLE ("" for none)
+  const grams = [];         // wordTag() of each open GR (null for none)
+
+  const finishVerse = () => {
+    if (!cur) return;
+    const { text, spans, para, words, strongs } = joinParts(cur.parts);
+    if (text) {
+      onVerse(verseRow(book, chapter, cur.verse, text, {
+        spans,
+        words,
+        strongs,
+        para,
+        titles: cur.titles,
+        notes: cur.notes
+      }));
+    }
+    cur = null;
+  };
+
+  const finishCapture = () => {
+    const text = normalizeWhitespace(capture.parts.join(""));
+    const c = capture;
+    capture = null;
+    if (!text) return;
+
+    if (c.kind === "note") {
+      if (cur) cur.notes.push({ type: c.type, text });
+    } else {
+      pendingTitles.push({ type: "section", text });
+    }
+  };
+
+  return {
+    open(rawName, attrs) {
+      const name = String(rawName).toUpperCase();
+
+      if (skipDepth) {
+        skipDepth++;
+        return;
+      }
+      if (capture) {
+        capture.depth++;
+        return;
+      }
+
+      if (SKIP_ELEMENTS.has(name)) {
+        skipDepth = 1;
+        return;
+      }
+
+      switch (name) {
+        case "BIBLEBOOK": {
+          finishVerse();
+          pendingTitles = [];
+          chapter = 0;
+          book = resolveBook(attrs.bnumber) || resolveBook(attrs.bname) || resolveBook(attrs.bsname);
+          if (!book) unknownBooks.add(attrs.bname || attrs.bnumber || "?");
+          return;
+        }
+
+        case "CHAPTER":
+          finishVerse();
+          chapter = parseInt(attrs.cnumber, 10) || 0;
+          return;
+
+        case "VERS": {
+          finishVerse();
+          const verse = parseInt(attrs.vnumber, 10) || 0;
+          if (!book || !chapter || !verse) return;
+          cur = { verse, parts: [], notes: [], titles: pendingTitles };
+          pendingTitles = [];
+          return;
+        }
+
+        case "CAPTION":
+          capture = { kind: "title", type: "section", parts: [], depth: 1 };
+          return;
+
+        case "BR":
+          if (cur) cur.parts.push(" ");
+          return;
+
+        case "STYLE":
+          styles.push(styleSpanType(attrs));
+          return;
+
+        case "GR": {
+          grams.push(wordTag({ strong: parseStrongList(attrs.str, strongPrefix(book)), morph: attrs.rmac }));
+          return;
+        }
+
+        default:
+          if (NOTE_ELEMENTS.has(name)) {
+            const type = name === "XREF" ? "crossReference" : (attrs.type || "note");
+            capture = { kind: "note", type, parts: [], depth: 1 };
+          }
+      }
+    },
+
+    close(rawName) {
+      const name = String(rawName).toUpperCase();
+
+      if (skipDepth) {
+        skipDepth--;
+        return;
+      }
+      if (capture) {
+        capture.depth--;
+        if (capture.depth === 0) finishCapture();
+        return;
+      }
+
+      if (name === "VERS") finishVerse();
+      else if (name === "STYLE") styles.pop();
+      else if (name === "GR") grams.pop();
+    },
+
+    text(str) {
+      if (skipDepth) return;
+      if (capture) capture.parts.push(str);
+      else if (cur) {
+        const active = styles.filter(Boolean);
+        const word = grams.findLast(Boolean) || null;
+        cur.parts.push(active.length || word ? { text: str, styles: active, word } : str);
+      }
+    },
+
+    end() {
+      finishVerse();
+    },
+
+    summary() {
+      return { unknownBooks: Array.from(unknownBooks) };
+    }
+  };
+}
@@ -1,7 +1,10 @@
 /**
  * importKJV.js
  * -----------------------------------------------------------------------------
- * Robust XML importer for files shaped like:
+ * Bible importers. Every format ends up as the same verse rows
+ * ({ key, book, chapter, verse, text, ...extras }) in a translation's store.
+ *
+ * 1) "book-number-xml": files shaped like
  *
  * <bible>
  *   <testament>
@@ -9,102 +12,568 @@
  *       <chapter number="1">
  *         <verse number="1">Text...</verse>
  *
- * The XML you provided uses book "number" instead of book "name".
- * We map book numbers (1..66) to canonical names used by the app.
+ *    The XML uses book "number" instead of book "name".
+ *    We map book numbers (1..66, 67+ for the deuterocanon) to canonical names
+ *    used by the app (see formats/bookNumber.js).
+ *
+ * 2) "osis": OSIS XML (container or milestone verses), see formats/osis.js
+ *
+ * 3) "usfm" / "usx": USFM text or its XML form, see formats/usfm.js.
+ *    Unknown markers are returned in the result (unknownMarkers).
+ *
+ * 4) "zefania": Zefania XML (<XMLBIBLE><BIBLEBOOK bnumber>…), see formats/zefania.js
+ *
+ * 5) "tsv" / "csv": book, chapter, verse, text rows, see formats/delimited.js
+ *
+ * "auto" (or any file picked by the user) goes through detectFormat() first.
+ *
+ * Imports stream: the source is read in chunks, parsed with event/stream
+ * parsers (no DOM, no full-file string) and written in batches of BATCH_SIZE
+ * rows. On the main thread, importTranslation()/importTranslationFromFile()
+ * hand the work to importWorker.js and relay its progress; options.signal
+ * (an AbortSignal) cancels. Each import keeps a record (importState.js) so an
+ * interrupted one can be resumed with options.keepBooks. A completed import
+ * also rebuilds the translation's search index (searchIndex.js).
  * -----------------------------------------------------------------------------
  */
 
-import { openDb, stores, putMany } from "./db.js";
-
-// Canonical book names (must match app.js BOOKS list)
-const BOOKS = [
-  "Genesis","Exodus","Leviticus","Numbers","Deuteronomy",
-  "Joshua","Judges","Ruth","1 Samuel","2 Samuel",
-  "1 Kings","2 Kings","1 Chronicles","2 Chronicles",
-  "Ezra","Nehemiah","Esther","Job","Psalms","Proverbs",
-  "Ecclesiastes","Song of Solomon","Isaiah","Jeremiah","Lamentations",
-  "Ezekiel","Daniel","Hosea","Joel","Amos","Obadiah","Jonah","Micah",
-  "Nahum","Habakkuk","Zephaniah","Haggai","Zechariah","Malachi",
-  "Matthew","Mark","Luke","John","Acts","Romans","1 Corinthians","2 Corinthians",
-  "Galatians","Ephesians","Philippians","Colossians","1 Thessalonians","2 Thessalonians",
-  "1 Timothy","2 Timothy","Titus","Philemon","Hebrews","James","1 Peter","2 Peter",
-  "1 John","2 John","3 John","Jude","Revelation"
-];
-
-function normalizeWhitespace(s) {
-  return String(s || "")
-    .replace(/\s+/g, " ")
-    .replace(/\u00A0/g, " ")
-    .trim();
+import { openDb, stores, putMany, clearStore, copyStore, countStore } from "./db.js";
+import { getTranslation } from "./translations.js";
+import { chapterNumbers } from "./versification.js";
+import { createSourceHasher, loadImportState, saveImportState, clearImportState } from "./importState.js";
+import { buildSearchIndex, dropSearchIndex } from "./searchIndex.js";
+import { createXmlStream } from "./formats/xmlEvents.js";
+import { createBookNumberHandler } from "./formats/bookNumber.js";
+import { createOsisHandler } from "./formats/osis.js";
+import { createUsfmStream, createUsxHandler } from "./formats/usfm.js";
+import { createZefaniaHandler } from "./formats/zefania.js";
+import { createDelimitedStream, detectDelimiter } from "./formats/delimited.js";
+
+// Rows per IndexedDB transaction
+const BATCH_SIZE = 1000;
+
+// Characters collected before detectFormat() runs on an "auto" import
+const DETECT_CHARS = 16384;
+
+// Largest piece of text handed to a parser between two batch writes
+const SLICE_CHARS = 65536;
+
+function abortError() {
+  return new DOMException("Import cancelled.", "AbortError");
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) throw abortError();
+}
+
+/* -------------------------------- Sources -------------------------------- */
+
+async function* decodeChunks(stream, hasher) {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder("utf-8");
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      hasher.update(value);
+      yield { text: decoder.decode(value, { stream: true }), bytes: value.byteLength };
+    }
+    const tail = decoder.decode();
+    if (tail) yield { text: tail, bytes: 0 };
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+async function* fileChunks(files, hasher) {
+  for (let i = 0; i < files.length; i++) {
+    // Keeps concatenated USFM books on separate lines
+    if (i > 0) yield { text: "\n", bytes: 0 };
+    yield* decodeChunks(files[i].stream(), hasher);
+  }
 }
 
 /**
- * Generic importer for KJV-shaped XML files.
- * Writes into the provided IndexedDB store.
+ * source is { url } | { files: [Blob] } | { text } (all structured-cloneable,
+ * so the same object can be posted to the worker).
+ * Returns { total, name, chunks } where chunks yields { text, bytes }.
+ * Every byte read is fed to hasher (see importState.createSourceHasher()).
  */
-export async function importBibleFromXML(xmlUrl, storeName, onProgress) {
-  const db = await openDb();
+async function openSource(source, signal, hasher) {
+  if (source.url) {
+    const res = await fetch(source.url, { signal });
+    if (!res.ok) throw new Error(`Failed to fetch Bible source: ${res.status}`);
+    return {
+      total: Number(res.headers.get("content-length")) || 0,
+      name: source.url,
+      chunks: decodeChunks(res.body, hasher)
+    };
+  }
 
-  const res = await fetch(xmlUrl);
-  if (!res.ok) throw new Error(`Failed to fetch Bible XML: ${res.status}`);
-  const xmlText = await res.text();
+  if (source.files?.length) {
+    return {
+      total: source.files.reduce((n, f) => n + f.size, 0),
+      name: source.files[0].name || "",
+      chunks: fileChunks(source.files, hasher)
+    };
+  }
 
-  const parser = new DOMParser();
-  const xml = parser.parseFromString(xmlText, "text/xml");
+  const text = String(source.text || "");
+  hasher.update(text);
+  return {
+    total: text.length,
+    name: "",
+    chunks: (async function* () { yield { text, bytes: text.length }; })()
+  };
+}
+
+/* -------------------------------- Parsers -------------------------------- */
+
+function xmlParser(handler, emptyHint) {
+  const xml = createXmlStream(handler);
+  return {
+    emptyHint,
+    write: (chunk) => xml.write(chunk),
+    finish: () => {
+      xml.finish();
+      return handler.summary();
+    }
+  };
+}
 
-  const parseError = xml.querySelector("parsererror");
-  if (parseError) {
-    throw new Error("XML parse error. Your Bible XML may be malformed.");
+/**
+ * Stream parser for a format: { write(chunk), finish() -> summary, emptyHint }.
+ * head is the start of the file (used to pick the CSV delimiter).
+ */
+function createParser(format, onVerse, head, id) {
+  switch (format) {
+    case "book-number-xml":
+      return xmlParser(createBookNumberHandler(onVerse), "XML structure may differ from expected.");
+    case "osis":
+      return xmlParser(createOsisHandler(onVerse), "Is this an OSIS file with osisID verses?");
+    case "usx":
+      return xmlParser(createUsxHandler(onVerse), "Is this a USX file with <book>, <chapter> and <verse>?");
+    case "zefania":
+      return xmlParser(createZefaniaHandler(onVerse), "Is this a Zefania file with <BIBLEBOOK> and <VERS>?");
+    case "usfm":
+      return { ...createUsfmStream(onVerse), emptyHint: "Is this a USFM file with \\id, \\c and \\v markers?" };
+    case "tsv":
+      return { ...createDelimitedStream(onVerse, "\t"), emptyHint: "Expected rows of book, chapter, verse, text." };
+    case "csv": {
+      const delimiter = detectDelimiter(head) === ";" ? ";" : ",";
+      return { ...createDelimitedStream(onVerse, delimiter), emptyHint: "Expected rows of book, chapter, verse, text." };
+    }
+    default:
+      throw new Error(format
+        ? `Unsupported Bible format "${format}" for ${id}.`
+        : `Could not recognize the file format for ${id}.`);
   }
+}
+
+/* ------------------------------ Batch writes ------------------------------ */
+
+/**
+ * Collects parsed rows and writes them in batches. Rows of books in keep are
+ * counted but not written (a resume keeps what is already stored).
+ * Also tracks what the source contains (expected()) and which books are
+ * fully written (completedBooks()).
+ */
+function createBatchWriter(db, storeName, keep) {
+  const seen = [];              // books in source order
+  const chapters = new Map();   // book -> Set(chapter)
+  const keys = new Set();
+  let current = "";
+  let pending = [];
+  let written = 0;
+
+  return {
+    add(row) {
+      if (row.book !== current) {
+        current = row.book;
+        if (!chapters.has(current)) {
+          seen.push(current);
+          chapters.set(current, new Set());
+        }
+      }
+      chapters.get(current).add(row.chapter);
+      keys.add(row.key);
+
+      if (!keep.has(row.book)) pending.push(row);
+    },
+
+    // Writes full batches; final=true also writes the remainder
+    async flush(final) {
+      if (pending.length < BATCH_SIZE && !final) return;
+
+      let i = 0;
+      for (; i + BATCH_SIZE <= pending.length || (final && i < pending.length); i += BATCH_SIZE) {
+        const batch = pending.slice(i, i + BATCH_SIZE);
+        await putMany(db, storeName, batch);
+        written += batch.length;
+      }
+      pending = pending.slice(i);
+    },
+
+    // Books with every row written; the book being parsed may still grow
+    completedBooks(final = false) {
+      const waiting = new Set(pending.map(r => r.book));
+      return seen.filter(b => (final || b !== current) && !waiting.has(b));
+    },
+
+    expected() {
+      const books = {};
+      let total = 0;
+      for (const b of seen) {
+        books[b] = chapters.get(b).size;
+        total += books[b];
+      }
+      return { verses: keys.size, chapters: total, books };
+    },
 
-  const bookNodes = Array.from(xml.querySelectorAll("book"));
-
-  const rows = [];
-  let count = 0;
-
-  for (const bookNode of bookNodes) {
-    const bookNum = Number(bookNode.getAttribute("number"));
-    const bookName = BOOKS[bookNum - 1];
-    if (!bookName) continue;
-
-    const chapterNodes = Array.from(bookNode.querySelectorAll(":scope > chapter"));
-    for (const chapterNode of chapterNodes) {
-      const chapNum = Number(chapterNode.getAttribute("number"));
-      if (!chapNum) continue;
-
-      const verseNodes = Array.from(chapterNode.querySelectorAll(":scope > verse"));
-      for (const verseNode of verseNodes) {
-        const verseNum = Number(verseNode.getAttribute("number"));
-        const text = normalizeWhitespace(verseNode.textContent || "");
-        if (!verseNum || !text) continue;
-
-        rows.push({
-          key: `${bookName}|${chapNum}|${verseNum}`,
-          book: bookName,
-          chapter: chapNum,
-          verse: verseNum,
-          text
-        });
-
-        count++;
-        if (onProgress && count % 2000 === 0) onProgress(count);
+    // Chapters the versification scheme has that the source does not
+    missingChapters(scheme) {
+      const out = [];
+      for (const b of seen) {
+        const have = chapters.get(b);
+        const gaps = [];
+        for (const ch of chapterNumbers(b, scheme)) {
+          if (!have.has(ch)) gaps.push(ch);
+        }
+        if (gaps.length) out.push({ book: b, chapters: gaps });
       }
+      return out;
+    },
+
+    get written() { return written; }
+  };
+}
+
+/* --------------------------------- Import --------------------------------- */
+
+function headHash(text) {
+  const hasher = createSourceHasher();
+  hasher.update(text.slice(0, DETECT_CHARS));
+  return hasher.digest();
+}
+
+/**
+ * Streams source (see openSource()) into meta.store. Runs anywhere IndexedDB
+ * exists (page or worker). onProgress(verses, percent) after each chunk;
+ * percent is null when the size is unknown.
+ *
+ * The import record (importState.js) is updated as books complete. With
+ * keepBooks (from importState.booksToKeep()), those books are left as they
+ * are and only the rest is written: a resume or repair. If the source is not
+ * the file the record was made from, the store is rebuilt from scratch.
+ * A cancelled or failed import keeps what it wrote, for a later resume.
+ *
+ * With replace, the source goes to the staging store first and only replaces
+ * meta.store once it imported completely (re-import, update from a newer
+ * file); until then the old verses and record stay as they were. The record
+ * is marked "running" before the copy into meta.store starts, so a swap that
+ * fails or is interrupted leaves a record asking for a repair.
+ *
+ * Resolves { verses, books, format, missingChapters, ...parser summary }.
+ */
+export async function runImport(meta, source, { onProgress, signal, keepBooks = [], replace = false } = {}) {
+  if (!meta?.store) throw new Error("Translation has no verse store.");
+  throwIfAborted(signal);
+
+  const db = await openDb();
+  const storeName = replace ? stores().STAGING : meta.store;
+  const keep = new Set(replace ? [] : keepBooks);
+  const prior = keep.size ? await loadImportState(db, meta.id) : null;
+  const hasher = createSourceHasher();
+  const writer = createBatchWriter(db, storeName, keep);
+
+  const record = {
+    translation: meta.id,
+    store: meta.store,
+    format: meta.format,
+    status: "running",
+    source: null,
+    expected: null,
+    completedBooks: [...keep],
+    verses: 0,
+    error: "",
+    startedAt: Date.now()
+  };
+
+  let format = meta.format;
+  let parser = null;
+  // replace: meta.store is being overwritten from staging
+  let swapping = false;
+  let head = "";
+  let read = 0;
+
+  const saveProgress = async () => {
+    if (replace) return;
+    const done = writer.completedBooks();
+    if (done.length === record.completedBooks.length) return;
+    record.completedBooks = done;
+    await saveImportState(db, record);
+  };
+
+  try {
+    const { total, name, chunks } = await openSource(source, signal, hasher);
+
+    const start = async (text) => {
+      if (format === "auto") format = detectFormat(text, name);
+      parser = createParser(format, row => writer.add(row), text, meta.id);
+
+      record.format = format;
+      record.source = { name: String(name).split("/").pop(), size: total, head: headHash(text), hash: "" };
+
+      const sameSource = prior?.source?.head === record.source.head && prior?.source?.size === total;
+      if (keep.size && !sameSource) {
+        // Another file: books kept from the old one cannot be trusted
+        keep.clear();
+        record.completedBooks = [];
+      }
+      if (!keep.size) await clearStore(db, storeName);
+      if (!replace) await saveImportState(db, record);
+
+      parser.write(text);
+    };
+
+    for await (const { text, bytes } of chunks) {
+      // Large chunks are fed in slices so pending rows stay bounded
+      for (let i = 0; i < text.length; i += SLICE_CHARS) {
+        throwIfAborted(signal);
+        const slice = text.slice(i, i + SLICE_CHARS);
+        read += bytes * slice.length / text.length;
+
+        if (parser) {
+          parser.write(slice);
+        } else {
+          head += slice;
+          if (head.length < DETECT_CHARS) continue;
+          await start(head);
+          head = "";
+        }
+
+        await writer.flush(false);
+        await saveProgress();
+        onProgress?.(writer.written, total ? Math.min(99, Math.floor(read * 100 / total)) : null);
+      }
+    }
+
+    if (!parser) await start(head);
+    const summary = parser.finish();
+    throwIfAborted(signal);
+    await writer.flush(true);
+
+    const expected = writer.expected();
+    if (!expected.verses) throw new Error(`Importer found 0 verses. ${parser.emptyHint}`);
+
+    if (replace) {
+      // The copy takes several transactions: until the record says
+      // "complete" again, an interrupted swap shows as an incomplete import
+      // with no trusted books, so the integrity check offers a repair
+      Object.assign(record, { expected, completedBooks: [], source: { ...record.source, hash: hasher.digest() } });
+      await saveImportState(db, record);
+      swapping = true;
+      await copyStore(db, storeName, meta.store, BATCH_SIZE);
+      await clearStore(db, storeName);
     }
+
+    const verses = await countStore(db, meta.store);
+
+    try {
+      await buildSearchIndex(db, meta);
+    } catch {
+      // The first search builds it instead
+      await dropSearchIndex(db, meta.id).catch(() => {});
+    }
+
+    Object.assign(record, {
+      status: "complete",
+      finishedAt: Date.now(),
+      expected,
+      completedBooks: writer.completedBooks(true),
+      verses,
+      source: { ...record.source, hash: hasher.digest() }
+    });
+    await saveImportState(db, record);
+    onProgress?.(verses, 100);
+
+    return {
+      verses,
+      books: Object.keys(expected.books).length,
+      missingChapters: writer.missingChapters(meta.versification),
+      ...summary,
+      format
+    };
+  } catch (err) {
+    try {
+      if (replace && !swapping) {
+        // The translation itself was not touched
+        await clearStore(db, storeName);
+      } else if (replace) {
+        // The swap had started: meta.store is partly overwritten
+        record.status = err?.name === "AbortError" ? "cancelled" : "failed";
+        record.error = err?.message || String(err);
+        record.completedBooks = [];
+        await saveImportState(db, record);
+        await clearStore(db, storeName);
+      } else if (!writer.written && !keep.size) {
+        // Nothing to resume from
+        await clearImportState(db, meta.id);
+      } else {
+        record.status = err?.name === "AbortError" ? "cancelled" : "failed";
+        record.error = err?.message || String(err);
+        record.completedBooks = writer.completedBooks();
+        await saveImportState(db, record);
+      }
+    } catch { /* keep the original error */ }
+    throw err;
   }
+}
 
-  if (!rows.length) {
-    throw new Error("Importer found 0 verses. XML structure may differ from expected.");
+/**
+ * Runs runImport() in importWorker.js, falling back to this thread where
+ * module workers are unavailable.
+ */
+function importInWorker(meta, source, onProgress, { signal, ...options } = {}) {
+  const inline = () => runImport(meta, source, { ...options, onProgress, signal });
+  if (typeof Worker === "undefined" || typeof document === "undefined") return inline();
+  if (signal?.aborted) return Promise.reject(abortError());
+
+  let worker;
+  try {
+    worker = new Worker(new URL("./importWorker.js", import.meta.url), { type: "module" });
+  } catch {
+    return inline();
   }
 
-  await putMany(db, storeName, rows);
+  return new Promise((resolve, reject) => {
+    let heard = false;
 
-  return {
-    verses: rows.length,
-    books: new Set(rows.map(r => r.book)).size
-  };
+    const onAbort = () => worker.postMessage({ type: "cancel" });
+    const stop = () => {
+      signal?.removeEventListener("abort", onAbort);
+      worker.terminate();
+    };
+    signal?.addEventListener("abort", onAbort);
+
+    worker.onmessage = (e) => {
+      heard = true;
+      const msg = e.data || {};
+      if (msg.type === "progress") {
+        onProgress?.(msg.verses, msg.percent);
+      } else if (msg.type === "done") {
+        stop();
+        resolve(msg.result);
+      } else if (msg.type === "error") {
+        stop();
+        const err = new Error(msg.message);
+        err.name = msg.name || "Error";
+        reject(err);
+      }
+    };
+
+    worker.onerror = (e) => {
+      stop();
+      // The worker never started (e.g. no module worker support)
+      if (!heard) {
+        e.preventDefault();
+        inline().then(resolve, reject);
+        return;
+      }
+      reject(new Error(e.message || "Import worker failed."));
+    };
+
+    worker.postMessage({ type: "import", meta, source, options });
+  });
+}
+
+/* ---------------------------- Format detection ---------------------------- */
+
+/**
+ * Looks at the start of a file and returns the format id to parse it with,
+ * or "" when nothing matches. fileName (optional) is only a last hint.
+ */
+export function detectFormat(text, fileName = "") {
+  const head = String(text || "").slice(0, 16384).replace(/^\uFEFF/, "");
+  const trimmed = head.trimStart();
+
+  if (trimmed.startsWith("<")) {
+    // First real element: skip the prolog, comments and doctype
+    const body = trimmed.replace(/<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<![^>]*>/g, "");
+    const root = ((body.match(/<([A-Za-z_][\w.:-]*)/) || [])[1] || "").split(":").pop().toLowerCase();
+
+    if (root === "osis" || /<div\b[^>]*\btype="book"/.test(head)) return "osis";
+    if (root === "usx") return "usx";
+    if (root === "xmlbible" || /<BIBLEBOOK\b/i.test(head)) return "zefania";
+    if (/<book\b[^>]*\bnumber=/.test(head)) return "book-number-xml";
+    return "";
+  }
+
+  if (/^\s*\\id\s+\S+/m.test(head) || (/\\c\s+\d/.test(head) && /\\v\s+\d/.test(head))) return "usfm";
+
+  const delimiter = detectDelimiter(head);
+  if (delimiter === "\t") return "tsv";
+  if (delimiter) return "csv";
+
+  const ext = String(fileName || "").split(".").pop().toLowerCase();
+  if (ext === "usfm" || ext === "sfm") return "usfm";
+  return "";
+}
+
+/**
+ * Imports a registry entry (see translations.js) into its own store,
+ * picking the parser from the entry's source format.
+ */
+export async function importTranslation(meta, onProgress, options = {}) {
+  if (!meta || !meta.file) throw new Error("Translation has no source file.");
+
+  // Resolve against the page: the worker's base URL is js/
+  const url = new URL(meta.file, globalThis.location?.href).href;
+  return importInWorker(meta, { url }, onProgress, options);
+}
+
+/**
+ * Imports local File(s) (from <input type="file">) for a registry entry.
+ * Files are read in the browser only; nothing is uploaded or cached.
+ * The format is detected when meta.format is "auto". USFM is usually one
+ * file per book, so several files are read in order; other formats use the
+ * first.
+ */
+export async function importTranslationFromFile(meta, files, onProgress, options = {}) {
+  if (!meta) throw new Error("Unknown translation.");
+
+  const list = files instanceof Blob ? [files] : Array.from(files || []);
+  if (!list.length) throw new Error("Choose a Bible file first.");
+
+  let format = meta.format;
+  if (format === "auto") {
+    const head = await list[0].slice(0, DETECT_CHARS).text();
+    format = detectFormat(head, list[0].name);
+  }
+
+  const picked = format === "usfm" ? list : list.slice(0, 1);
+  return importInWorker({ ...meta, format }, { files: picked }, onProgress, options);
+}
+
+/**
+ * Generic importer for KJV-shaped XML files.
+ * Writes into the provided IndexedDB store.
+ */
+export async function importBibleFromXML(xmlUrl, storeName, onProgress, options = {}) {
+  const url = new URL(xmlUrl, globalThis.location?.href).href;
+  return importInWorker({ id: storeName, store: storeName, format: "book-number-xml" }, { url }, onProgress, options);
+}
+
+/**
+ * Same as importBibleFromXML(), for XML that is already in memory.
+ */
+export async function importBibleFromXMLText(xmlText, storeName, onProgress) {
+  return runImport({ id: storeName, store: storeName, format: "book-number-xml" }, { text: xmlText }, { onProgress });
 }
 
 // Backward-compatible KJV wrapper
 export async function importKJVFromXML(xmlUrl, onProgress) {
-  return importBibleFromXML(xmlUrl, stores().KJV_VERSES, onProgress);
+  const meta = getTranslation("KJV");
+  if (!meta) throw new Error("KJV is not in the translation registry.");
+  return importBibleFromXML(xmlUrl || meta.file, meta.store, onProgress);
 }
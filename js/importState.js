@@ -0,0 +1,173 @@
+/**
+ * importState.js
+ * -----------------------------------------------------------------------------
+ * Import records and integrity checks for translation stores.
+ *
+ * Every import keeps one record in the "imports" store:
+ *
+ *   {
+ *     translation: "KJV",
+ *     store: "kjv_verses",
+ *     format: "book-number-xml",
+ *     status: "running" | "complete" | "cancelled" | "failed",
+ *     source: { name, size, head, hash },   // head: hash of the first chunk
+ *     expected: { verses, chapters, books: { Genesis: 50, ... } } | null,
+ *     completedBooks: ["Genesis", ...],      // fully written, in order
+ *     verses,                                // rows in the store (when complete)
+ *     error, startedAt, finishedAt, updatedAt
+ *   }
+ *
+ * "expected" is what the source contained; it is only known once the whole
+ * source has been parsed. Until then books are checked against CHAPTER_COUNTS
+ * (as adjusted by the translation's versification scheme).
+ * A "running" record found at startup means the import was interrupted.
+ * -----------------------------------------------------------------------------
+ */
+
+import { stores, getOne, putOne, deleteOne, getAll, countStore, listChapters } from "./db.js";
+import { BOOKS } from "./books.js";
+import { chapterNumbers } from "./versification.js";
+
+/* ---------------------------------- Hash ---------------------------------- */
+
+const FNV_OFFSET = 0x811c9dc5;
+const FNV_PRIME = 0x01000193;
+
+/**
+ * Incremental FNV-1a (32 bit) over bytes or text. Only used to tell whether
+ * a source file changed, not for security. digest() -> "fnv1a-xxxxxxxx-<size>".
+ */
+export function createSourceHasher() {
+  const encoder = new TextEncoder();
+  let h = FNV_OFFSET;
+  let size = 0;
+
+  return {
+    update(data) {
+      const bytes = typeof data === "string" ? encoder.encode(data) : data;
+      for (let i = 0; i < bytes.length; i++) {
+        h ^= bytes[i];
+        h = Math.imul(h, FNV_PRIME) >>> 0;
+      }
+      size += bytes.length;
+    },
+
+    digest() {
+      return `fnv1a-${h.toString(16).padStart(8, "0")}-${size}`;
+    }
+  };
+}
+
+/* --------------------------------- Records --------------------------------- */
+
+export async function loadImportState(db, translationId) {
+  return getOne(db, stores().IMPORTS, translationId);
+}
+
+export async function saveImportState(db, record) {
+  await putOne(db, stores().IMPORTS, { ...record, updatedAt: Date.now() });
+}
+
+export async function clearImportState(db, translationId) {
+  await deleteOne(db, stores().IMPORTS, translationId);
+}
+
+export async function listImportStates(db) {
+  return getAll(db, stores().IMPORTS);
+}
+
+/* -------------------------------- Integrity -------------------------------- */
+
+// record.expected counts a book's chapters; the numbers come from the scheme
+function expectedChapters(record, book, scheme) {
+  return chapterNumbers(book, scheme, record?.expected?.books?.[book]);
+}
+
+/**
+ * Compares a translation's store with its import record.
+ *
+ * Returns {
+ *   id, status: "ok" | "empty" | "incomplete" | "corrupt",
+ *   verses, completeBooks: [...], missing: [{ book, chapters: [n, ...] }],
+ *   record
+ * }
+ * completeBooks are books whose chapters are all present; a resume or repair
+ * only has to re-import the others.
+ */
+export async function checkTranslationStore(db, meta) {
+  const record = await loadImportState(db, meta.id);
+  const verses = await countStore(db, meta.store);
+  const report = { id: meta.id, status: "ok", verses, completeBooks: [], missing: [], record };
+
+  if (!verses) {
+    report.status = "empty";
+    return report;
+  }
+
+  const present = await listChapters(db, meta.store);
+
+  // Books the store should contain: from the record, else what is there
+  const books = record?.expected
+    ? Object.keys(record.expected.books)
+    : BOOKS.filter(b => present.has(b) || record?.completedBooks?.includes(b));
+
+  for (const book of books) {
+    const have = present.get(book) || new Set();
+    const gaps = expectedChapters(record, book, meta.versification).filter(ch => !have.has(ch));
+
+    if (gaps.length) report.missing.push({ book, chapters: gaps });
+    else report.completeBooks.push(book);
+  }
+
+  if (record && record.status !== "complete") {
+    report.status = "incomplete";
+    // Only books the import finished writing count as done
+    report.completeBooks = report.completeBooks.filter(b => record.completedBooks?.includes(b));
+    report.missing = report.missing.filter(m => record.completedBooks?.includes(m.book));
+    if (report.missing.length) report.status = "corrupt";
+    return report;
+  }
+
+  if (report.missing.length) report.status = "corrupt";
+  else if (record?.expected?.verses && record.expected.verses !== verses) report.status = "corrupt";
+
+  return report;
+}
+
+/**
+ * One line describing a report that is not "ok".
+ */
+export function describeIntegrity(report) {
+  if (report.status === "incomplete") {
+    const n = report.completeBooks.length;
+    return `${report.id}: the import stopped after ${n} book${n === 1 ? "" : "s"}.`;
+  }
+
+  if (report.status === "corrupt") {
+    const chapters = report.missing.reduce((n, m) => n + m.chapters.length, 0);
+    if (!chapters) {
+      const want = report.record?.expected?.verses || 0;
+      return `${report.id}: ${report.verses.toLocaleString()} of ${want.toLocaleString()} verses are present.`;
+    }
+    const sample = report.missing
+      .flatMap(m => m.chapters.map(ch => `${m.book} ${ch}`))
+      .slice(0, 4)
+      .join(", ");
+    const more = chapters > 4 ? ", …" : "";
+    return `${report.id}: ${chapters} chapter${chapters === 1 ? "" : "s"} missing (${sample}${more}).`;
+  }
+
+  if (report.status === "empty") return `${report.id}: no verses imported.`;
+  return "";
+}
+
+/**
+ * Books a resume/repair can keep as they are (the rest is re-imported).
+ * A verse count mismatch with no missing chapter cannot be narrowed down,
+ * so that repairs everything.
+ */
+export function booksToKeep(report) {
+  if (report.status === "incomplete") return report.completeBooks;
+  if (report.status === "corrupt" && report.missing.length) return report.completeBooks;
+  return [];
+}
@@ -0,0 +1,43 @@
+/**
+ * importWorker.js
+ * -----------------------------------------------------------------------------
+ * Module worker that runs Bible imports off the main thread
+ * (started by importKJV.js; see runImport() there).
+ *
+ * In:  { type: "import", meta, source, options }
+ *        source: { url } | { files } | { text }, options: { keepBooks }
+ *      { type: "cancel" }
+ * Out: { type: "progress", verses, percent }
+ *      { type: "done", result }
+ *      { type: "error", name, message }     name is "AbortError" on cancel
+ * -----------------------------------------------------------------------------
+ */
+
+import { runImport } from "./importKJV.js";
+
+let controller = null;
+
+self.onmessage = async (e) => {
+  const msg = e.data || {};
+
+  if (msg.type === "cancel") {
+    controller?.abort();
+    return;
+  }
+
+  if (msg.type !== "import") return;
+
+  controller = new AbortController();
+  try {
+    const result = await runImport(msg.meta, msg.source, {
+      ...msg.options,
+      signal: controller.signal,
+      onProgress: (verses, percent) => self.postMessage({ type: "progress", verses, percent })
+    });
+    self.postMessage({ type: "done", result });
+  } catch (err) {
+    self.postMessage({ type: "error", name: err?.name || "Error", message: err?.message || String(err) });
+  } finally {
+    controller = null;
+  }
+};
@@ -0,0 +1,118 @@
+/**
+ * noteSearch.js
+ * -----------------------------------------------------------------------------
+ * Full-text search over verse notes (the note field of verse_styles), in
+ * every translation, with the search box syntax (searchQuery.js) and the same
+ * word normalization and matching as verse search (searchNormalize.js,
+ * searchMatch.js). Notes are few, so their words are located on each search
+ * instead of being indexed.
+ *
+ *   filters = {
+ *     type,         // "" or a note type: "study" | "research" | "personal"
+ *     favorite,     // only favorite notes
+ *     color,        // "" | "any" (highlighted) | "none" | a highlight color
+ *     from, to      // updatedAt bounds (ms), either may be null
+ *   }
+ * -----------------------------------------------------------------------------
+ */
+
+import { parseQuery } from "./searchQuery.js";
+import { locateWords } from "./searchNormalize.js";
+import { collectSteps, stepKey, createEvaluator } from "./searchMatch.js";
+
+const SNIPPET_RADIUS = 80;
+
+/* -------------------------------- Filters -------------------------------- */
+
+function passesFilters(n, filters) {
+  if (filters.type && (n.noteType || "study") !== filters.type) return false;
+  if (filters.favorite && !n.noteFavorite) return false;
+
+  const color = n.color && n.color !== "none" ? n.color : "";
+  if (filters.color === "any" && !color) return false;
+  if (filters.color === "none" && color) return false;
+  if (filters.color && filters.color !== "any" && filters.color !== "none" && color !== filters.color) return false;
+
+  const at = n.updatedAt || 0;
+  if (filters.from != null && at < filters.from) return false;
+  if (filters.to != null && at > filters.to) return false;
+  return true;
+}
+
+/* -------------------------------- Matching -------------------------------- */
+
+// The notes' word positions for every step of tree: the notes are the docs
+function notePositions(tree, words) {
+  const byStep = new Map();
+  for (const step of collectSteps(tree)) {
+    const key = stepKey(step);
+    if (byStep.has(key)) continue;
+
+    const docs = new Map();
+    words.forEach((list, doc) => {
+      const positions = [];
+      list.forEach(({ term }, p) => {
+        if (step.prefix ? term.startsWith(step.term) : term === step.term) positions.push(p);
+      });
+      if (positions.length) docs.set(doc, positions);
+    });
+    byStep.set(key, docs);
+  }
+  return byStep;
+}
+
+/* ---------------------------------- API ---------------------------------- */
+
+/**
+ * Notes (verse_styles rows) matching query and filters, in the given order:
+ * [{ note, hits }], hits being [{ start, end }] offsets into note.note. An
+ * empty query keeps every note that passes the filters. Query mistakes throw
+ * as in parseQuery().
+ */
+export function searchNotes(notes, query, filters = {}) {
+  const tree = parseQuery(query);
+  const kept = notes.filter(n => (n.note || "").trim() && passesFilters(n, filters));
+  if (!tree) return kept.map(n => ({ note: n, hits: [] }));
+
+  const words = kept.map(n => locateWords(n.note));
+  const matches = createEvaluator(notePositions(tree, words))(tree);
+
+  const out = [];
+  kept.forEach((n, doc) => {
+    const hit = matches.get(doc);
+    if (!hit) return;
+    const hits = hit.marks
+      .map(([first, last]) => ({ start: words[doc][first].start, end: words[doc][last].end }))
+      .sort((a, b) => a.start - b.start);
+    out.push({ note: n, hits });
+  });
+
+  return out;
+}
+
+/**
+ * A part of text around its first hit (the start when there is none), with
+ * "…" where it was cut: { text, hits } with hits moved to the snippet.
+ */
+export function noteSnippet(text, hits, radius = SNIPPET_RADIUS) {
+  const src = String(text || "");
+  if (src.length <= radius * 2) return { text: src, hits };
+
+  const first = hits[0]?.start || 0;
+  let start = Math.max(0, first - radius);
+  let end = Math.min(src.length, start + radius * 2);
+  start = Math.max(0, end - radius * 2);
+
+  // Cut at word boundaries
+  if (start > 0) start = src.indexOf(" ", start) + 1 || start;
+  if (end < src.length) end = src.lastIndexOf(" ", end) > start ? src.lastIndexOf(" ", end) : end;
+
+  const lead = start > 0 ? "… " : "";
+  const shift = lead.length - start;
+  return {
+    text: `${lead}${src.slice(start, end)}${end < src.length ? " …" : ""}`,
+    hits: hits
+      .filter(h => h.start >= start && h.end <= end)
+      .map(h => ({ start: h.start + shift, end: h.end + shift }))
+  };
+}
@@ -6,6 +6,8 @@
  * - Bookmarks
  * - Verse styles (highlight/underline/bold/notes)
  * - Settings
+ * - Search history (recent and saved searches)
+ * - Offline packs (Dive Deeper, section headings, lexicon)
  * -----------------------------------------------------------------------------
  */
 
@@ -18,6 +20,8 @@ import {
   getAllByIndex,
   getAll
 } from "./db.js";
+import { storeForTranslation } from "./translations.js";
+import { BOOKS } from "./books.js";
 
 /* ----------------------------- Keys ----------------------------- */
 
@@ -37,34 +41,30 @@ export async function getChapterFromStore(db, storeName, book, chapter) {
 }
 
 export async function getChapterKJV(db, book, chapter) {
-  return getChapterFromStore(db, stores().KJV_VERSES, book, chapter);
+  return getChapterOffline(db, "KJV", book, chapter);
 }
 
 /**
  * Unified chapter loader for all *offline* XML-imported translations.
- *
- * translationId values used by the app:
- * - KJV, ESV, NIV, AMP, AMPC, NVI-ES
+ * translationId is any id (or alias) from the translation registry.
  */
 export async function getChapterOffline(db, translationId, book, chapter) {
-  const id = String(translationId || "").toUpperCase();
-  switch (id) {
-    case "KJV":
-      return getChapterFromStore(db, stores().KJV_VERSES, book, chapter);
-    case "ESV":
-      return getChapterFromStore(db, stores().ESV_VERSES, book, chapter);
-    case "NIV":
-      return getChapterFromStore(db, stores().NIV_VERSES, book, chapter);
-    case "AMP":
-      return getChapterFromStore(db, stores().AMP_VERSES, book, chapter);
-    case "AMPC":
-      return getChapterFromStore(db, stores().AMPC_VERSES, book, chapter);
-    case "NVI-ES":
-    case "NVI_ES":
-      return getChapterFromStore(db, stores().NVI_ES_VERSES, book, chapter);
-    default:
-      return [];
-  }
+  const storeName = storeForTranslation(translationId);
+  if (!storeName) return [];
+  return getChapterFromStore(db, storeName, book, chapter);
+}
+
+/**
+ * Verses of a translation tagged with a Strong's number ("H430"), in Bible
+ * order. Uses the by_strong index, so only tagged imports return anything.
+ */
+export async function getVersesByStrong(db, translationId, strong) {
+  const storeName = storeForTranslation(translationId);
+  if (!storeName || !strong) return [];
+  const rows = await getAllByIndex(db, storeName, "by_strong", strong);
+  const order = new Map(BOOKS.map((b, i) => [b, i]));
+  return rows.sort((a, b) =>
+    (order.get(a.book) - order.get(b.book)) || (a.chapter - b.chapter) || (a.verse - b.verse));
 }
 
 /* -------- Legacy NIV provider cache path (optional / older builds) -------- */
@@ -157,6 +157,71 @@ export async function listNotes(db, translation) {
   return all.filter(s => (s.note || "").trim().length > 0);
 }
 
+// Notes of every translation, newest first
+export async function listAllNotes(db) {
+  const all = await getAll(db, stores().VERSE_STYLES);
+  return all
+    .filter(s => (s.note || "").trim().length > 0)
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/* --------------------------- Search history --------------------------- */
+
+// Recent (unpinned) searches kept
+const SEARCH_HISTORY_LIMIT = 50;
+
+/*
+ * One row per distinct search:
+ *   { key, query, scope (searchScope.js), forms, all (every installed
+ *     translation), translation, total, runAt, pinned, name }
+ * Running the same search again updates its row.
+ */
+export function searchHistoryKey({ query, scope, forms, all }) {
+  return JSON.stringify([query, scope?.books || "all", scope?.from || "", scope?.to || "",
+    (scope?.marks || []).slice().sort(), !!forms, !!all]);
+}
+
+export async function recordSearch(db, search) {
+  const key = searchHistoryKey(search);
+  const prev = await getOne(db, stores().SEARCH_HISTORY, key);
+  await putOne(db, stores().SEARCH_HISTORY, {
+    ...search,
+    key,
+    runAt: Date.now(),
+    pinned: !!prev?.pinned,
+    name: prev?.name || ""
+  });
+
+  const recent = (await listSearchHistory(db)).filter(h => !h.pinned);
+  for (const old of recent.slice(SEARCH_HISTORY_LIMIT)) {
+    await deleteOne(db, stores().SEARCH_HISTORY, old.key);
+  }
+}
+
+// Newest first
+export async function listSearchHistory(db) {
+  const all = await getAll(db, stores().SEARCH_HISTORY);
+  return all.sort((a, b) => b.runAt - a.runAt);
+}
+
+// Pins a search as a saved search named name; an empty name unpins it
+export async function pinSearch(db, key, name) {
+  const row = await getOne(db, stores().SEARCH_HISTORY, key);
+  if (!row) return;
+  const n = String(name || "").trim();
+  await putOne(db, stores().SEARCH_HISTORY, { ...row, pinned: !!n, name: n });
+}
+
+export async function deleteSearch(db, key) {
+  await deleteOne(db, stores().SEARCH_HISTORY, key);
+}
+
+export async function clearSearchHistory(db) {
+  for (const h of await listSearchHistory(db)) {
+    if (!h.pinned) await deleteOne(db, stores().SEARCH_HISTORY, h.key);
+  }
+}
+
 /* ------------------------------ Settings ------------------------------ */
 
 export async function saveSetting(db, key, value) {
@@ -173,6 +238,8 @@ export async function loadSetting(db, key) {
 let _diveCrossrefs = null;
 let _diveExplain = null;
 let _diveTags = null;
+let _headings = null;
+let _lexicon = null;
 
 async function loadJsonOnce(url) {
   const res = await fetch(url);
@@ -205,3 +272,36 @@ export async function getDiveTags(book, chapter, verse) {
   return _diveTags[verseKey(book, chapter, verse)] || [];
 }
 
+
+/* ------------------------------ Section Headings (Offline Pack) ------------------------------ */
+
+// The starter heading pack is English, keyed by KJV numbering
+export const HEADING_PACK_LANGUAGE = "en";
+
+export async function getPackHeading(book, chapter, verse) {
+  if (_headings === null) {
+    _headings = (await loadJsonOnce("./data/headings.json")) || {};
+  }
+  return _headings[verseKey(book, chapter, verse)] || "";
+}
+
+
+/* ------------------------------ Lexicon (Offline Pack) ------------------------------ */
+
+/**
+ * Strong's lexicon entry: { lemma, translit, gloss?, definition }
+ * keyed by "H430" / "G26" (formats/common.js normalizeStrong), or null.
+ */
+export async function getLexiconEntry(strong) {
+  return (await loadLexicon())[strong] || null;
+}
+
+/**
+ * The whole lexicon pack ({} if it cannot be loaded).
+ */
+export async function loadLexicon() {
+  if (_lexicon === null) {
+    _lexicon = (await loadJsonOnce("./data/lexicon.json")) || {};
+  }
+  return _lexicon;
+}
@@ -0,0 +1,224 @@
+/**
+ * references.js
+ * -----------------------------------------------------------------------------
+ * Scripture reference parser: "Jn 3:16", "1 Cor 13:4-7", "Ps 23",
+ * "Rom 8:28–39; 12:1-2", "II Kings 2", "Gen 1:1, 3; Ex 20".
+ *
+ * Books are found by canonical name, OSIS id or USFM code (books.js), a
+ * common abbreviation, or a prefix of the name shared by no other book
+ * ("Deut", "Phile"). Ordinal books take "1", "I", "1st" or "First" in front.
+ * "." may stand for ":", and "–"/"—" for "-".
+ *
+ * A list continues the previous book: after ";" a bare number is a chapter,
+ * after "," it is a verse when the previous reference had verses. Books of
+ * one chapter (Jude, Philemon, …) read a bare number as a verse.
+ *
+ * Passages: { book, chapter, verse, toChapter, toVerse }, verse and toVerse
+ * null for whole chapters. Numbers are as typed; the caller checks them
+ * against the translation.
+ * -----------------------------------------------------------------------------
+ */
+
+import { BOOK_TABLE, CHAPTER_COUNTS, resolveBook } from "./books.js";
+
+// Abbreviations -> book (prefixes that name a single book need no entry);
+// ordinal books are listed without their number
+const ABBREVIATIONS = {
+  Genesis: ["gn", "ge"],
+  Exodus: ["ex", "exo"],
+  Leviticus: ["lv", "le"],
+  Numbers: ["nm", "nu", "nb"],
+  Deuteronomy: ["dt", "de"],
+  Joshua: ["jos", "jsh"],
+  Judges: ["jdg", "jdgs", "jg"],
+  Ruth: ["rth", "ru"],
+  Samuel: ["sa", "sm", "sam"],
+  Kings: ["kgs", "ki", "kin"],
+  Chronicles: ["chr", "ch", "chron"],
+  Ezra: ["ezr"],
+  Nehemiah: ["ne"],
+  Esther: ["est", "es"],
+  Job: ["jb"],
+  Psalms: ["ps", "psa", "pss", "psm"],
+  Proverbs: ["pr", "prv", "pro"],
+  Ecclesiastes: ["ec", "ecc", "eccles", "qoh"],
+  "Song of Solomon": ["song", "sos", "sg", "so"],
+  Isaiah: ["is"],
+  Jeremiah: ["je", "jr"],
+  Lamentations: ["la"],
+  Ezekiel: ["eze", "ezk", "ez"],
+  Daniel: ["da", "dn"],
+  Hosea: ["ho"],
+  Joel: ["jl"],
+  Obadiah: ["ob"],
+  Jonah: ["jon", "jnh"],
+  Micah: ["mi", "mc"],
+  Nahum: ["na"],
+  Habakkuk: ["hb"],
+  Zephaniah: ["zep", "zp"],
+  Haggai: ["hg"],
+  Zechariah: ["zec", "zc"],
+  Malachi: ["ml"],
+  Matthew: ["mt"],
+  Mark: ["mk", "mr"],
+  Luke: ["lk"],
+  John: ["jn", "jhn", "jo"],
+  Acts: ["ac"],
+  Romans: ["ro", "rm"],
+  Corinthians: ["co", "cor"],
+  Galatians: ["ga"],
+  Ephesians: ["ephes"],
+  Philippians: ["php", "pp", "phil"],
+  Thessalonians: ["th", "thes", "thess"],
+  Timothy: ["ti", "tm"],
+  Titus: ["tit"],
+  Philemon: ["phm", "philem", "phlm"],
+  Hebrews: ["he"],
+  James: ["jas", "jm"],
+  Peter: ["pe", "pt", "pet"],
+  Jude: ["jud"],
+  Revelation: ["re", "rv", "apoc", "apocalypse"],
+  Sirach: ["ecclus"],
+  Maccabees: ["mac", "macc"]
+};
+
+const ORDINALS = { i: 1, ii: 2, iii: 3, first: 1, second: 2, third: 3, "1st": 1, "2nd": 2, "3rd": 3 };
+
+// "1 Samuel" -> { ordinal: 1, base: "samuel" }
+function splitOrdinal(name) {
+  const m = /^([1-3]) (.+)$/.exec(name);
+  return m ? { ordinal: Number(m[1]), base: m[2] } : { ordinal: 0, base: name };
+}
+
+const compact = (s) => s.toLowerCase().replace(/[\s.]+/g, "");
+
+// "1|sam" -> "1 Samuel"
+const BY_ABBREVIATION = new Map();
+for (const b of BOOK_TABLE) {
+  const { ordinal, base } = splitOrdinal(b.name);
+  for (const abbr of ABBREVIATIONS[base] || ABBREVIATIONS[b.name] || []) {
+    BY_ABBREVIATION.set(`${ordinal}|${abbr}`, b.name);
+  }
+}
+
+const PREFIXES = BOOK_TABLE.map(b => {
+  const { ordinal, base } = splitOrdinal(b.name);
+  return { name: b.name, ordinal, base: compact(base) };
+});
+
+/**
+ * Book name as typed ("1 Cor", "II Kgs", "Song of Songs", "Jn.") -> canonical
+ * name, "" if it names no book (or several).
+ */
+export function findBook(text) {
+  const raw = String(text || "").trim().toLowerCase().replace(/\.$/, "");
+  if (!raw) return "";
+
+  let ordinal = 0;
+  let rest = raw;
+  const m = /^(1st|2nd|3rd|first|second|third|[1-3]|i{1,3})(\s+|\.\s*|(?=[a-z]))(.+)$/.exec(raw);
+  // Roman numerals need a space or dot ("is" is Isaiah)
+  if (m && !(/^i+$/.test(m[1]) && !m[2])) {
+    ordinal = ORDINALS[m[1]] || Number(m[1]);
+    rest = m[3];
+  }
+
+  const word = compact(rest);
+  if (!word) return "";
+
+  const named = resolveBook(ordinal ? `${ordinal} ${rest}` : rest) ||
+    resolveBook(ordinal ? `${ordinal}${word}` : word);
+  if (named && !/^\d+$/.test(raw)) return named;
+
+  const abbr = BY_ABBREVIATION.get(`${ordinal}|${word}`);
+  if (abbr) return abbr;
+
+  if (word.length < 2) return "";
+  const found = PREFIXES.filter(p => p.ordinal === ordinal && p.base.startsWith(word));
+  return found.length === 1 ? found[0].name : "";
+}
+
+/* --------------------------------- Parser --------------------------------- */
+
+const BOOK_PART = /^\s*((?:1st|2nd|3rd|first|second|third|[1-3]|i{1,3})?[\s.]*[a-z][a-z\s.]*?)\s*(?=\d)/i;
+const NUMBERS = /^(\d+)(?:[:.](\d+))?(?:\s*-\s*(\d+)(?:[:.](\d+))?)?$/;
+
+/**
+ * Text -> passages, [] when text is not entirely references (so it can be
+ * searched for as words instead).
+ */
+export function parseReferences(text) {
+  const src = String(text || "").replace(/[–—]/g, "-").trim();
+  if (!src || !/\d/.test(src)) return [];
+
+  const out = [];
+  let book = "";
+  let chapter = 0;
+  let hadVerse = false;
+
+  // [part, separator, part, …]
+  const parts = src.split(/\s*([;,])\s*/);
+  for (let i = 0; i < parts.length; i += 2) {
+    const part = parts[i];
+    const sep = parts[i - 1] || "";
+    if (!part) return [];
+
+    let nums = part;
+    const b = BOOK_PART.exec(part);
+    if (b) {
+      book = findBook(b[1]);
+      if (!book) return [];
+      nums = part.slice(b[0].length);
+      chapter = 0;
+      hadVerse = false;
+    } else if (!book) {
+      return [];
+    }
+
+    const n = NUMBERS.exec(nums.replace(/\s+/g, " ").trim());
+    if (!n) return [];
+    const [, a, av, c, cv] = n.map(x => (x === undefined ? null : Number(x)));
+
+    const single = CHAPTER_COUNTS[book] === 1;
+    let passage;
+    if (av !== null) {
+      // 3:16, 3:16-18, 3:16-4:2
+      passage = cv !== null
+        ? { chapter: a, verse: av, toChapter: c, toVerse: cv }
+        : { chapter: a, verse: av, toChapter: a, toVerse: c ?? av };
+    } else if (cv !== null) {
+      // 16-4:2 after a chapter: verse 16 to 4:2
+      if (!chapter) return [];
+      passage = { chapter, verse: a, toChapter: c, toVerse: cv };
+    } else if (single || (sep === "," && hadVerse && chapter)) {
+      // Jude 3, Jn 3:16, 18
+      const ch = single ? 1 : chapter;
+      passage = { chapter: ch, verse: a, toChapter: ch, toVerse: c ?? a };
+    } else {
+      // Ps 23, Gen 1-3
+      passage = { chapter: a, verse: null, toChapter: c ?? a, toVerse: null };
+    }
+
+    if (!passage.chapter || passage.toChapter < passage.chapter) return [];
+    if (passage.verse !== null && (!passage.verse ||
+      (passage.toChapter === passage.chapter && passage.toVerse < passage.verse))) return [];
+
+    out.push({ book, ...passage });
+    chapter = passage.toChapter;
+    hadVerse = passage.verse !== null;
+  }
+
+  return out;
+}
+
+/**
+ * Passage -> "John 3:16", "1 Corinthians 13:4–7", "Psalms 23", "Genesis 1–3".
+ */
+export function formatReference(p) {
+  if (p.verse === null) {
+    return p.toChapter !== p.chapter ? `${p.book} ${p.chapter}–${p.toChapter}` : `${p.book} ${p.chapter}`;
+  }
+  const start = `${p.book} ${p.chapter}:${p.verse}`;
+  if (p.toChapter !== p.chapter) return `${start}–${p.toChapter}:${p.toVerse}`;
+  return p.toVerse !== p.verse ? `${start}–${p.toVerse}` : start;
+}
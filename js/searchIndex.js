@@ -0,0 +1,313 @@
+/**
+ * searchIndex.js
+ * -----------------------------------------------------------------------------
+ * Full-text search over a translation's verses.
+ *
+ * Every translation gets an inverted index in IndexedDB, built when an import
+ * completes (importKJV.js) or, for translations imported before, on the first
+ * search:
+ *
+ *   search_docs   { translation, version, language, verses, builtAt,
+ *                   keys: ["Genesis|1|1", …], lengths: [10, …], avgLength }
+ *   search_terms  { translation, term,
+ *                   postings: [doc, tf, pos, …, doc, tf, pos, …] }
+ *
+ * doc is a verse's position in keys (store order), tf how often the term
+ * occurs in it, followed by the tf word positions within the verse (for
+ * phrases and NEAR). Verse text and queries become terms with the rules of
+ * the translation's language (searchNormalize.js, meta.language), so accents
+ * and case never matter; optionally a word also matches its other forms
+ * (searchStem.js). Queries use the syntax of searchQuery.js and are matched
+ * by searchMatch.js; matches are ranked with BM25 (equal scores in Bible
+ * order) and the total is exact.
+ * -----------------------------------------------------------------------------
+ */
+
+import {
+  stores,
+  putMany,
+  putOne,
+  getOne,
+  getMany,
+  getRange,
+  getRangeKeys,
+  deleteOne,
+  deleteRange,
+  countStore,
+  readStore
+} from "./db.js";
+import { BOOKS } from "./books.js";
+import { parseQuery } from "./searchQuery.js";
+import { tokenize } from "./searchNormalize.js";
+import { collectSteps, stepKey, createEvaluator } from "./searchMatch.js";
+import { stemmerFor } from "./searchStem.js";
+
+// Bump when tokenize() (searchNormalize.js) or the row layout changes: older
+// indexes are rebuilt on the next search
+export const INDEX_VERSION = 3;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Term rows per IndexedDB transaction
+const TERM_BATCH = 1000;
+
+/* --------------------------------- Build --------------------------------- */
+
+// Also drops the concordance (concordance.js), which is tied to the index
+export async function dropSearchIndex(db, translationId) {
+  await deleteOne(db, stores().SEARCH_DOCS, translationId);
+  await deleteRange(db, stores().SEARCH_TERMS, [translationId, ""], [translationId, "\uffff"]);
+  await deleteOne(db, stores().CONCORDANCE, translationId);
+}
+
+/**
+ * (Re)builds the index of meta.store. onProgress(verses) after each batch.
+ * The docs row is written last: an index without one counts as missing.
+ */
+export async function buildSearchIndex(db, meta, onProgress = null) {
+  await dropSearchIndex(db, meta.id);
+
+  const keys = [];
+  const lengths = [];
+  const postings = new Map();   // term -> [doc, tf, pos, …]
+  let totalLength = 0;
+
+  for await (const rows of readStore(db, meta.store)) {
+    for (const row of rows) {
+      const doc = keys.length;
+      const tokens = tokenize(row.text, meta.language);
+      keys.push(row.key);
+      lengths.push(tokens.length);
+      totalLength += tokens.length;
+
+      const positions = new Map();
+      tokens.forEach((t, i) => {
+        if (!positions.has(t)) positions.set(t, []);
+        positions.get(t).push(i);
+      });
+      for (const [term, list] of positions) {
+        if (!postings.has(term)) postings.set(term, []);
+        postings.get(term).push(doc, list.length, ...list);
+      }
+    }
+    onProgress?.(keys.length);
+  }
+
+  let batch = [];
+  for (const [term, list] of postings) {
+    batch.push({ translation: meta.id, term, postings: list });
+    if (batch.length >= TERM_BATCH) {
+      await putMany(db, stores().SEARCH_TERMS, batch);
+      batch = [];
+    }
+  }
+  if (batch.length) await putMany(db, stores().SEARCH_TERMS, batch);
+
+  const docs = {
+    translation: meta.id,
+    version: INDEX_VERSION,
+    language: meta.language || "",
+    verses: keys.length,
+    builtAt: Date.now(),
+    keys,
+    lengths,
+    avgLength: keys.length ? totalLength / keys.length : 0
+  };
+  await putOne(db, stores().SEARCH_DOCS, docs);
+  return docs;
+}
+
+/**
+ * The translation's index, rebuilt first if it is missing, from an older
+ * INDEX_VERSION, built for another language setting or out of step with the
+ * store's verse count.
+ */
+export async function ensureSearchIndex(db, meta, onProgress = null) {
+  const docs = await getOne(db, stores().SEARCH_DOCS, meta.id);
+  const verses = await countStore(db, meta.store);
+  const current = docs &&
+    docs.version === INDEX_VERSION &&
+    docs.language === (meta.language || "") &&
+    docs.verses === verses;
+  if (current) return docs;
+  return buildSearchIndex(db, meta, onProgress);
+}
+
+/* --------------------------------- Search --------------------------------- */
+
+const BOOK_ORDER = new Map(BOOKS.map((b, i) => [b, i]));
+
+// "Book|chapter|verse" keys in Bible order
+function compareKeys(a, b) {
+  const [ba, ca, va] = a.split("|");
+  const [bb, cb, vb] = b.split("|");
+  return (BOOK_ORDER.get(ba) - BOOK_ORDER.get(bb)) || (ca - cb) || (va - vb);
+}
+
+// term -> Map(doc -> positions)
+function decodePostings(list) {
+  const out = new Map();
+  for (let j = 0; j < list.length;) {
+    const tf = list[j + 1];
+    out.set(list[j], list.slice(j + 2, j + 2 + tf));
+    j += 2 + tf;
+  }
+  return out;
+}
+
+// translation -> { builtAt, groups: Map(stem -> terms) } for its current index
+const stemCache = new Map();
+
+// All terms of the index grouped by stem
+async function termsByStem(db, docs, stem) {
+  const cached = stemCache.get(docs.translation);
+  if (cached && cached.builtAt === docs.builtAt) return cached.groups;
+
+  const keys = await getRangeKeys(db, stores().SEARCH_TERMS, [docs.translation, ""], [docs.translation, "\uffff"]);
+  const groups = new Map();
+  for (const [, term] of keys) {
+    const k = stem(term);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(term);
+  }
+
+  stemCache.set(docs.translation, { builtAt: docs.builtAt, groups });
+  return groups;
+}
+
+// Several Map(doc -> positions) -> one, positions sorted
+function mergePostings(maps) {
+  if (maps.length === 1) return maps[0];
+  const out = new Map();
+  for (const map of maps) {
+    for (const [doc, positions] of map) out.set(doc, (out.get(doc) || []).concat(positions));
+  }
+  for (const positions of out.values()) positions.sort((a, b) => a - b);
+  return out;
+}
+
+/**
+ * Loads the postings a query tree needs from the index of docs. With forms,
+ * words also match their other forms when the language has a stemmer.
+ * -> { steps, stepTerms: Map(step key -> index terms it matched),
+ *      postings: Map(term -> Map(doc -> positions)),
+ *      byStep: Map(step key -> Map(doc -> positions)), forms }
+ * (step key: the term, "term*" for a prefix, "term~" with its forms)
+ */
+async function loadPostings(db, docs, tree, forms) {
+  const translationId = docs.translation;
+  const stem = forms ? stemmerFor(docs.language) : null;
+  const steps = collectSteps(tree, docs.language, !!stem, []);
+  const groups = stem && steps.some(s => s.forms) ? await termsByStem(db, docs, stem) : null;
+
+  const stepTerms = new Map();
+  const postings = new Map();
+
+  for (const step of steps) {
+    const key = stepKey(step);
+    if (stepTerms.has(key)) continue;
+
+    if (step.prefix) {
+      const rows = await getRange(db, stores().SEARCH_TERMS, [translationId, step.term], [translationId, step.term + "\uffff"]);
+      for (const row of rows) postings.set(row.term, decodePostings(row.postings));
+      stepTerms.set(key, rows.map(row => row.term));
+    } else if (step.forms) {
+      stepTerms.set(key, Array.from(new Set([step.term, ...(groups.get(stem(step.term)) || [])])));
+    } else {
+      stepTerms.set(key, [step.term]);
+    }
+  }
+
+  const wanted = Array.from(new Set([...stepTerms.values()].flat())).filter(t => !postings.has(t));
+  const rows = await getMany(db, stores().SEARCH_TERMS, wanted.map(t => [translationId, t]));
+  wanted.forEach((term, i) => {
+    if (rows[i]) postings.set(term, decodePostings(rows[i].postings));
+  });
+
+  const byStep = new Map();
+  for (const [key, terms] of stepTerms) {
+    const found = terms.filter(t => postings.has(t));
+    stepTerms.set(key, found);
+    byStep.set(key, found.length ? mergePostings(found.map(t => postings.get(t))) : new Map());
+  }
+
+  return { steps, stepTerms, postings, byStep, forms: !!stem };
+}
+
+// BM25 of a unit found in df docs, tf times in doc
+function bm25(docs) {
+  return (df) => {
+    const idf = Math.log(1 + (docs.verses - df + 0.5) / (df + 0.5));
+    return (doc, tf) => {
+      const norm = K1 * (1 - B + B * docs.lengths[doc] / (docs.avgLength || 1));
+      return idf * (tf * (K1 + 1)) / (tf + norm);
+    };
+  };
+}
+
+/**
+ * Keys of the verses containing term (an index term, searchNormalize.js),
+ * in Bible order.
+ */
+export async function termVerseKeys(db, meta, term) {
+  const docs = await ensureSearchIndex(db, meta);
+  const row = await getOne(db, stores().SEARCH_TERMS, [meta.id, term]);
+  if (!row) return [];
+  return Array.from(decodePostings(row.postings).keys(), doc => docs.keys[doc]).sort(compareKeys);
+}
+
+/**
+ * Verses of the translation matching query (searchQuery.js syntax), best
+ * first. Throws a "SearchSyntaxError" for a malformed query.
+ * options: filter(key) keeps only the verses it accepts (searchScope.js);
+ * forms also matches other word forms of unquoted words (searchStem.js);
+ * onIndexProgress(verses) while the index is (re)built.
+ * -> { total, hits: [{ key, score }] (all matches, not a page),
+ *      terms: the index terms found in the matching verses,
+ *      variants: [{ word: "forgive" | "bless*", terms }] for words that
+ *        matched other forms than the one typed }
+ */
+export async function searchVerses(db, meta, query, { filter = null, forms = false, onIndexProgress = null } = {}) {
+  const tree = parseQuery(query);
+  if (!tree) return { total: 0, terms: [], variants: [], hits: [] };
+
+  const docs = await ensureSearchIndex(db, meta, onIndexProgress);
+  const loaded = await loadPostings(db, docs, tree, forms);
+  const evaluate = createEvaluator(loaded.byStep, { language: docs.language, forms: loaded.forms, rank: bm25(docs) });
+  const matches = evaluate(tree);
+
+  const hitDocs = new Set();
+  const hits = [];
+  for (const [doc, { score }] of matches) {
+    const key = docs.keys[doc];
+    if (filter && !filter(key)) continue;
+    hitDocs.add(doc);
+    hits.push({ key, score });
+  }
+  hits.sort((a, b) => (b.score - a.score) || compareKeys(a.key, b.key));
+
+  // Terms of the words looked for (not excluded) that occur in a hit
+  const inHits = (term) => {
+    for (const doc of loaded.postings.get(term).keys()) if (hitDocs.has(doc)) return true;
+    return false;
+  };
+
+  const terms = new Set();
+  const variants = [];
+  const seen = new Set();
+  for (const step of loaded.steps) {
+    const key = stepKey(step);
+    if (step.excluded || seen.has(key)) continue;
+    seen.add(key);
+
+    const found = loaded.stepTerms.get(key).filter(inHits);
+    found.forEach(t => terms.add(t));
+    if ((step.prefix || step.forms) && found.some(t => t !== step.term)) {
+      variants.push({ word: step.prefix ? step.term + "*" : step.term, terms: found });
+    }
+  }
+
+  return { total: hits.length, terms: Array.from(terms), variants, hits };
+}
@@ -0,0 +1,166 @@
+/**
+ * searchMatch.js
+ * -----------------------------------------------------------------------------
+ * Evaluates a query tree (searchQuery.js) against word positions. Shared by
+ * verse search, where the positions come from the index (searchIndex.js),
+ * and note search, which reads them from the notes (noteSearch.js).
+ *
+ * The words of the query become steps ({ term, prefix, forms }); the caller
+ * looks up every step and passes byStep: Map(step key -> Map(doc -> word
+ * positions)), doc being whatever numbers its texts. Every node evaluates to
+ * Map(doc -> { score, spans, marks }):
+ *
+ *   spans   [first, last] word positions of each occurrence, for word,
+ *           phrase and NEAR nodes; and/or results carry none
+ *   marks   the [first, last] positions of the words that made the match
+ *           (both sides of a NEAR, every matched item of and/or)
+ *   score   from options.rank, 0 without it; and/or add up their items
+ * -----------------------------------------------------------------------------
+ */
+
+import { tokenize } from "./searchNormalize.js";
+
+// Word text of the query ("LORD's", "bless*") -> [{ term, prefix, forms }]
+// (forms: also match the term's other word forms, searchStem.js)
+export function querySteps(text, language, forms = false) {
+  const steps = [];
+  for (const raw of String(text).split(/\s+/)) {
+    const terms = tokenize(raw, language);
+    terms.forEach((term, i) => {
+      const prefix = raw.endsWith("*") && i === terms.length - 1;
+      steps.push({ term, prefix, forms: forms && !prefix });
+    });
+  }
+  return steps;
+}
+
+/**
+ * Steps of the tree's words; excluded (NOT) words get excluded: true. Words
+ * in quoted phrases always match as written.
+ */
+export function collectSteps(node, language, forms, out = [], excluded = false) {
+  if (node.type === "word" || node.type === "phrase") {
+    const steps = querySteps(node.text, language, forms && node.type === "word");
+    for (const step of steps) out.push({ ...step, excluded });
+  } else if (node.type === "not") {
+    collectSteps(node.item, language, forms, out, true);
+  } else {
+    for (const item of node.items) collectSteps(item, language, forms, out, excluded);
+  }
+  return out;
+}
+
+// The term, "term*" for a prefix, "term~" with its forms
+export const stepKey = (step) => step.term + (step.prefix ? "*" : step.forms ? "~" : "");
+
+/**
+ * -> evaluate(tree). options: language and forms as given to collectSteps();
+ * rank(df) -> (doc, tf) -> score for a matched unit (word, phrase, NEAR pair)
+ * found in df docs, tf times in doc.
+ */
+export function createEvaluator(byStep, { language, forms = false, rank = null } = {}) {
+  const scored = (matches) => {
+    const score = rank ? rank(matches.size) : null;
+    const out = new Map();
+    for (const [doc, { spans, marks }] of matches) {
+      out.set(doc, { score: score ? score(doc, spans.length) : 0, spans, marks });
+    }
+    return out;
+  };
+
+  // Consecutive words (a single word is a one-step sequence)
+  const sequence = (node) => {
+    const steps = querySteps(node.text, language, forms && node.type === "word");
+    const lists = steps.map(s => byStep.get(stepKey(s)) || new Map());
+    if (!lists.length) return new Map();
+
+    const matches = new Map();
+    for (const [doc, starts] of lists[0]) {
+      const spans = [];
+      for (const p of starts) {
+        if (lists.every((list, i) => list.get(doc)?.includes(p + i))) spans.push([p, p + lists.length - 1]);
+      }
+      if (spans.length) matches.set(doc, { spans, marks: spans });
+    }
+    return scored(matches);
+  };
+
+  const near = (node) => {
+    const [a, b] = node.items.map(evaluate);
+    const matches = new Map();
+    for (const [doc, left] of a) {
+      const right = b.get(doc);
+      if (!right) continue;
+      const spans = [];
+      const marks = [];
+      for (const [s1, e1] of left.spans) {
+        for (const [s2, e2] of right.spans) {
+          if (Math.max(s2 - e1, s1 - e2) > node.distance) continue;
+          spans.push([Math.min(s1, s2), Math.max(e1, e2)]);
+          marks.push([s1, e1], [s2, e2]);
+        }
+      }
+      if (spans.length) matches.set(doc, { spans, marks });
+    }
+    return scored(matches);
+  };
+
+  const and = (node) => {
+    const include = node.items.filter(item => item.type !== "not").map(evaluate)
+      .sort((x, y) => x.size - y.size);
+    const exclude = node.items.filter(item => item.type === "not").map(item => evaluate(item.item));
+
+    const out = new Map();
+    for (const [doc, first] of include[0]) {
+      if (exclude.some(m => m.has(doc))) continue;
+      let score = first.score;
+      let marks = first.marks;
+      let all = true;
+      for (const other of include.slice(1)) {
+        const hit = other.get(doc);
+        if (!hit) {
+          all = false;
+          break;
+        }
+        score += hit.score;
+        marks = marks.concat(hit.marks);
+      }
+      if (all) out.set(doc, { score, spans: [], marks });
+    }
+    return out;
+  };
+
+  const or = (node) => {
+    const out = new Map();
+    for (const matches of node.items.map(evaluate)) {
+      for (const [doc, hit] of matches) {
+        const prev = out.get(doc);
+        out.set(doc, {
+          score: (prev?.score || 0) + hit.score,
+          spans: [],
+          marks: prev ? prev.marks.concat(hit.marks) : hit.marks
+        });
+      }
+    }
+    return out;
+  };
+
+  function evaluate(node) {
+    switch (node.type) {
+      case "word":
+      case "phrase":
+        return sequence(node);
+      case "near":
+        return near(node);
+      case "and":
+        return and(node);
+      case "or":
+        return or(node);
+      default:
+        // A bare NOT only occurs inside "and" (parseQuery rejects the rest)
+        return new Map();
+    }
+  }
+
+  return evaluate;
+}
@@ -0,0 +1,101 @@
+/**
+ * searchNormalize.js
+ * -----------------------------------------------------------------------------
+ * Text -> search terms, the same way for the index and for queries, so that
+ * "senor" finds "Señor" and "dios" finds "Diós".
+ *
+ * A word is a run of letters, marks and digits in the original text;
+ * punctuation only separates words. Each word is then
+ * - decomposed (NFKD: any normalization form, ligatures and full-width
+ *   forms compare equal), lowercased and stripped of diacritics
+ * - folded where a letter has no decomposition (ø -> o, ß -> ss, æ -> ae, …)
+ * - passed through the rules of the translation's language (its BCP 47
+ *   primary subtag): Greek final sigma, Hebrew final letters, Arabic
+ *   tatweel and letter variants.
+ * -----------------------------------------------------------------------------
+ */
+
+const WORD = /[\p{L}\p{M}\p{N}]+/gu;
+
+// Letters NFKD leaves alone
+const FOLD = {
+  "ø": "o", "æ": "ae", "œ": "oe", "ß": "ss", "đ": "d", "ð": "d", "þ": "th",
+  "ł": "l", "ı": "i", "ħ": "h", "ŀ": "l", "ʼ": "", "ʻ": ""
+};
+const FOLD_RE = new RegExp(`[${Object.keys(FOLD).join("")}]`, "g");
+
+const HEBREW_FINALS = { "ך": "כ", "ם": "מ", "ן": "נ", "ף": "פ", "ץ": "צ" };
+
+const LANGUAGE_RULES = {
+  // ς is σ at the end of a word
+  el: (w) => w.replace(/ς/g, "σ"),
+  he: (w) => w.replace(/[ךםןףץ]/g, ch => HEBREW_FINALS[ch]),
+  // Tatweel is only spacing; hamza/madda alef forms, alef maksura and
+  // ta marbuta are commonly written without distinction
+  ar: (w) => w
+    .replace(/ـ/g, "")
+    .replace(/ٱ/g, "ا")
+    .replace(/ى/g, "ي")
+    .replace(/ة/g, "ه")
+};
+LANGUAGE_RULES.grc = LANGUAGE_RULES.el;
+LANGUAGE_RULES.hbo = LANGUAGE_RULES.he;
+LANGUAGE_RULES.arc = LANGUAGE_RULES.he;
+
+function languageRule(language) {
+  const primary = String(language || "").toLowerCase().split(/[-_]/)[0];
+  return LANGUAGE_RULES[primary] || null;
+}
+
+/**
+ * One word -> its search form ("" when nothing searchable is left).
+ */
+export function normalizeWord(word, language = "") {
+  let w = String(word || "")
+    .normalize("NFKD")
+    .toLowerCase()
+    .replace(/\p{M}/gu, "")
+    .replace(FOLD_RE, ch => FOLD[ch]);
+
+  const rule = languageRule(language);
+  if (rule) w = rule(w);
+
+  return w.replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+/**
+ * Where the words of text whose search form is in terms (a Set) are:
+ * [{ start, end }] offsets into text, for highlighting matches.
+ */
+export function findTerms(text, terms, language = "") {
+  const out = [];
+  for (const m of String(text || "").matchAll(WORD)) {
+    if (terms.has(normalizeWord(m[0], language))) out.push({ start: m.index, end: m.index + m[0].length });
+  }
+  return out;
+}
+
+/**
+ * Text -> [{ term, start, end }] for each word with a search form, offsets
+ * into text.
+ */
+export function locateWords(text, language = "") {
+  const out = [];
+  for (const m of String(text || "").matchAll(WORD)) {
+    const term = normalizeWord(m[0], language);
+    if (term) out.push({ term, start: m.index, end: m.index + m[0].length });
+  }
+  return out;
+}
+
+/**
+ * Text -> search terms in word order ("LORD's" -> ["lord", "s"]).
+ */
+export function tokenize(text, language = "") {
+  const out = [];
+  for (const word of String(text || "").match(WORD) || []) {
+    const term = normalizeWord(word, language);
+    if (term) out.push(term);
+  }
+  return out;
+}
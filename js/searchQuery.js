@@ -0,0 +1,224 @@
+/**
+ * searchQuery.js
+ * -----------------------------------------------------------------------------
+ * Search box syntax -> query tree, evaluated by searchMatch.js.
+ *
+ *   love God            both words (AND is implied)
+ *   "I am that I am"    the words in this order
+ *   grace OR mercy      either word
+ *   NOT wine, -wine     verses without the word
+ *   bless*              words starting with "bless"
+ *   faith NEAR/5 works  the words at most 5 words apart (NEAR alone: 10)
+ *   (a OR b) c          grouping
+ *
+ * Words match whole words, case-insensitively. AND, OR, NOT and NEAR are only
+ * operators in capitals ("and" is an ordinary word). Nodes:
+ *
+ *   { type: "word", text }          text may end in "*"; may tokenize to several words
+ *   { type: "phrase", text }
+ *   { type: "near", distance, items: [a, b] }
+ *   { type: "and" | "or", items }
+ *   { type: "not", item }
+ *
+ * Mistakes throw an Error named "SearchSyntaxError" whose message explains it.
+ * -----------------------------------------------------------------------------
+ */
+
+export const DEFAULT_NEAR = 10;
+
+function syntaxError(message) {
+  const err = new Error(message);
+  err.name = "SearchSyntaxError";
+  return err;
+}
+
+/* --------------------------------- Tokens --------------------------------- */
+
+const WILDCARD_HINT = "Put * at the end of a word, as in bless*.";
+
+function checkWildcards(text) {
+  for (const raw of text.split(/\s+/)) {
+    const star = raw.indexOf("*");
+    if (star < 0) continue;
+    if (star !== raw.length - 1 || !/[\p{L}\p{M}\p{N}]/u.test(raw)) throw syntaxError(WILDCARD_HINT);
+  }
+}
+
+function lex(query) {
+  const tokens = [];
+  const src = String(query || "");
+  let i = 0;
+
+  while (i < src.length) {
+    const ch = src[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (ch === "(" || ch === ")") {
+      tokens.push({ type: ch });
+      i++;
+      continue;
+    }
+
+    // "-" directly before a word, phrase or group excludes it
+    let neg = false;
+    if (ch === "-" && i + 1 < src.length && !/\s/.test(src[i + 1])) {
+      neg = true;
+      i++;
+    }
+
+    if (src[i] === "\"") {
+      const close = src.indexOf("\"", i + 1);
+      if (close < 0) throw syntaxError("A quoted phrase is missing its closing quote.");
+      const text = src.slice(i + 1, close).trim();
+      if (!text) throw syntaxError("Empty quotes: put the words of the phrase between them.");
+      checkWildcards(text);
+      tokens.push({ type: "phrase", text, neg });
+      i = close + 1;
+      continue;
+    }
+
+    if (neg && src[i] === "(") {
+      tokens.push({ type: "(", neg });
+      i++;
+      continue;
+    }
+
+    let j = i;
+    while (j < src.length && !/[\s()"]/.test(src[j])) j++;
+    const raw = src.slice(i, j);
+    i = j;
+
+    if (!neg && (raw === "AND" || raw === "OR" || raw === "NOT")) {
+      tokens.push({ type: raw });
+      continue;
+    }
+
+    const near = !neg && /^NEAR(?:\/(.*))?$/.exec(raw);
+    if (near) {
+      if (near[1] !== undefined && !/^\d+$/.test(near[1])) {
+        throw syntaxError(`"${raw}": the NEAR distance must be a number of words, as in NEAR/5.`);
+      }
+      tokens.push({ type: "NEAR", distance: near[1] === undefined ? DEFAULT_NEAR : Number(near[1]) });
+      continue;
+    }
+
+    checkWildcards(raw);
+    // Punctuation on its own ("-", "&") is not a word
+    if (/[\p{L}\p{M}\p{N}]/u.test(raw)) tokens.push({ type: "word", text: raw, neg });
+  }
+
+  return tokens;
+}
+
+/* --------------------------------- Parser --------------------------------- */
+
+// Nodes that have word positions (usable with NEAR)
+function positional(node) {
+  return node.type === "word" || node.type === "phrase" || node.type === "near";
+}
+
+// Whether node can find verses by itself (rather than only exclude them)
+function positive(node) {
+  if (node.type === "not") return false;
+  if (node.type === "and") return node.items.some(positive);
+  if (node.type === "or") return node.items.every(positive);
+  return true;
+}
+
+/**
+ * Query text -> tree (null for a query without words).
+ */
+export function parseQuery(query) {
+  const tokens = lex(query);
+  if (!tokens.length) return null;
+
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+
+  const missing = (op) => syntaxError(`${op} needs a word on both sides.`);
+
+  function parsePrimary() {
+    const t = next();
+    if (!t) throw syntaxError("The query ends where a word was expected.");
+
+    let node;
+    if (t.type === "word" || t.type === "phrase") {
+      node = { type: t.type, text: t.text };
+    } else if (t.type === "(") {
+      if (peek()?.type === ")") throw syntaxError("Empty parentheses: put words between ( and ).");
+      node = parseOr();
+      if (next()?.type !== ")") throw syntaxError("A ( is missing its closing ).");
+    } else if (t.type === ")") {
+      throw syntaxError("A ) has no matching (.");
+    } else {
+      throw missing(t.type);
+    }
+
+    return t.neg ? { type: "not", item: node } : node;
+  }
+
+  function parseNear() {
+    let left = parsePrimary();
+    while (peek()?.type === "NEAR") {
+      const { distance } = next();
+      if (!peek() || !["word", "phrase", "("].includes(peek().type)) throw missing("NEAR");
+      const right = parsePrimary();
+      if (!positional(left) || !positional(right)) {
+        throw syntaxError("NEAR works between words or quoted phrases, not groups or excluded words.");
+      }
+      left = { type: "near", distance, items: [left, right] };
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    if (peek()?.type === "NOT") {
+      next();
+      if (!peek() || ["AND", "OR", "NEAR", ")"].includes(peek().type)) {
+        throw syntaxError("NOT needs a word after it.");
+      }
+      return { type: "not", item: parseUnary() };
+    }
+    return parseNear();
+  }
+
+  function parseAnd() {
+    const items = [];
+    for (;;) {
+      const t = peek();
+      if (!t || t.type === ")" || t.type === "OR") break;
+      if (t.type === "AND") {
+        next();
+        const after = peek();
+        if (!items.length || !after || [")", "OR", "AND", "NEAR"].includes(after.type)) throw missing("AND");
+        continue;
+      }
+      if (t.type === "NEAR") throw missing("NEAR");
+      items.push(parseUnary());
+    }
+    if (!items.length) throw missing(peek()?.type === "OR" || tokens[pos - 1]?.type === "OR" ? "OR" : "AND");
+    return items.length === 1 ? items[0] : { type: "and", items };
+  }
+
+  function parseOr() {
+    const items = [parseAnd()];
+    while (peek()?.type === "OR") {
+      next();
+      items.push(parseAnd());
+    }
+    return items.length === 1 ? items[0] : { type: "or", items };
+  }
+
+  const tree = parseOr();
+  if (pos < tokens.length) throw syntaxError("A ) has no matching (.");
+
+  if (!positive(tree)) {
+    throw syntaxError("NOT and - only leave words out: add a word to search for, as in wine -new.");
+  }
+  return tree;
+}
@@ -0,0 +1,124 @@
+/**
+ * searchScope.js
+ * -----------------------------------------------------------------------------
+ * Which verses a search covers (the scope controls of the Search pane).
+ *
+ *   scope = {
+ *     books: "all" | a book group id (books.js) | "range" | "book" | "chapter",
+ *     from, to,     // "range": first and last book, in the translation's order
+ *     marks: []     // "highlight", "bookmark", "note": only verses marked so
+ *   }
+ *
+ * "book" and "chapter" are the reader's current ones. A verse counts as
+ * bookmarked when it is bookmarked itself or its chapter is. Several marks
+ * keep verses with any of them.
+ *
+ * ctx = { translation, books (the translation's books in order), book, chapter }
+ * -----------------------------------------------------------------------------
+ */
+
+import { listBookGroups, groupBooks } from "./books.js";
+import { listAllStyles, listBookmarks } from "./providers.js";
+
+export const SCOPE_MARKS = [
+  { id: "highlight", label: "Highlighted" },
+  { id: "bookmark", label: "Bookmarked" },
+  { id: "note", label: "Annotated" }
+];
+
+/**
+ * Choices for the scope select: [{ id, label }]
+ */
+export function listScopeChoices() {
+  return [
+    { id: "all", label: "All books" },
+    { id: "book", label: "Current book" },
+    { id: "chapter", label: "Current chapter" },
+    ...listBookGroups(),
+    { id: "range", label: "Range of books…" }
+  ];
+}
+
+// Books the scope covers (null: all)
+function scopeBooks(scope, ctx) {
+  const kind = scope.books || "all";
+  if (kind === "all") return null;
+  if (kind === "book" || kind === "chapter") return [ctx.book];
+
+  if (kind === "range") {
+    let i = ctx.books.indexOf(scope.from);
+    let j = ctx.books.indexOf(scope.to);
+    if (i < 0 || j < 0) return null;
+    if (i > j) [i, j] = [j, i];
+    return ctx.books.slice(i, j + 1);
+  }
+
+  return groupBooks(kind);
+}
+
+/**
+ * Short description for the search status ("" for the whole Bible), e.g.
+ * "in Paul's Letters, highlighted or annotated verses".
+ */
+export function describeScope(scope, ctx) {
+  const kind = scope.books || "all";
+  const parts = [];
+
+  if (kind === "book") parts.push(`in ${ctx.book}`);
+  else if (kind === "chapter") parts.push(`in ${ctx.book} ${ctx.chapter}`);
+  else if (kind === "range") {
+    const books = scopeBooks(scope, ctx);
+    if (books) parts.push(books.length === 1 ? `in ${books[0]}` : `in ${books[0]}–${books[books.length - 1]}`);
+  } else if (kind !== "all") {
+    const group = listBookGroups().find(g => g.id === kind);
+    if (group) parts.push(`in ${group.label.replace(/ \(.*\)$/, "")}`);
+  }
+
+  const marks = SCOPE_MARKS.filter(m => (scope.marks || []).includes(m.id));
+  if (marks.length) parts.push(`${marks.map(m => m.label.toLowerCase()).join(" or ")} verses`);
+
+  return parts.join(", ");
+}
+
+// "Book|chapter|verse" keys of the verses the user marked as marks
+async function markedKeys(db, translation, marks) {
+  const keys = new Set();
+  const chapters = new Set();
+
+  const styles = await listAllStyles(db, translation);
+  for (const s of styles) {
+    const hit =
+      (marks.includes("highlight") && s.color && s.color !== "none") ||
+      (marks.includes("bookmark") && s.bookmarked) ||
+      (marks.includes("note") && (s.note || "").trim());
+    if (hit) keys.add(`${s.book}|${s.chapter}|${s.verse}`);
+  }
+
+  if (marks.includes("bookmark")) {
+    for (const b of await listBookmarks(db, translation)) chapters.add(`${b.book}|${b.chapter}`);
+  }
+
+  return { keys, chapters };
+}
+
+/**
+ * scope -> key => boolean for searchVerses() (null when it covers everything).
+ */
+export async function createScopeFilter(db, scope, ctx) {
+  const books = scopeBooks(scope, ctx);
+  const inBooks = books ? new Set(books) : null;
+  const chapter = scope.books === "chapter" ? String(ctx.chapter) : "";
+
+  const marks = scope.marks || [];
+  const marked = marks.length ? await markedKeys(db, ctx.translation, marks) : null;
+
+  if (!inBooks && !marked) return null;
+
+  return (key) => {
+    const [book, ch] = key.split("|");
+    if (inBooks && !inBooks.has(book)) return false;
+    if (chapter && ch !== chapter) return false;
+    if (marked && !marked.keys.has(key) && !marked.chapters.has(`${book}|${ch}`)) return false;
+    return true;
+  };
+}
@@ -0,0 +1,222 @@
+/**
+ * searchStem.js
+ * -----------------------------------------------------------------------------
+ * Word-form matching ("forgive" also finds "forgave", "forgiven",
+ * "forgiveness"; "says" finds "saith"). A stemmer maps a search term
+ * (searchNormalize.js output) to a key shared by its forms; searchIndex.js
+ * expands a query word to every indexed term with the same key.
+ *
+ * - English: irregular and archaic forms (KJV "saith", "spake", "thee") are
+ *   looked up first, the -eth/-est verb endings ("loveth", "knowest") become
+ *   -ing, then the Porter stemmer runs.
+ * - Spanish: a light stemmer (plural and final vowel).
+ * Other languages have no stemmer: their words match as written.
+ * -----------------------------------------------------------------------------
+ */
+
+/* --------------------------------- English --------------------------------- */
+
+// Form -> base form (the base is then stemmed)
+const EN_FORMS = {
+  // Archaic verb forms and pronouns
+  saith: "say", hath: "have", hast: "have", hadst: "have", doth: "do", dost: "do",
+  didst: "do", art: "are", wast: "was", wert: "were", shalt: "shall", wilt: "will",
+  canst: "can", couldst: "could", wouldst: "would", shouldst: "should",
+  mayest: "may", mightest: "might", spake: "speak", sware: "swear", brake: "break",
+  begat: "beget", gat: "get", clave: "cleave", holpen: "help", digged: "dig",
+  wrought: "work", shew: "show", shewed: "show", shewn: "show", shewing: "show",
+  sheweth: "show", shewest: "show", thee: "you", thou: "you", ye: "you",
+  thy: "your", thine: "your",
+
+  // Irregular verbs
+  said: "say", says: "say", did: "do", done: "do", does: "do", goes: "go",
+  went: "go", gone: "go", had: "have", has: "have", made: "make",
+  forgave: "forgive", forgiven: "forgive", gave: "give", given: "give",
+  spoke: "speak", spoken: "speak", broke: "break", broken: "break",
+  swore: "swear", sworn: "swear", begotten: "beget", slew: "slay", slain: "slay",
+  smote: "smite", smitten: "smite", wrote: "write", written: "write",
+  arose: "arise", arisen: "arise", knew: "know", known: "know", took: "take",
+  taken: "take", came: "come", sat: "sit", stood: "stand", fell: "fall",
+  fallen: "fall", ate: "eat", eaten: "eat", drank: "drink", drunk: "drink",
+  sang: "sing", sung: "sing", saw: "see", seen: "see", chose: "choose",
+  chosen: "choose", got: "get", gotten: "get", ran: "run", bore: "bear",
+  borne: "bear", born: "bear", forsook: "forsake", forsaken: "forsake",
+  hid: "hide", hidden: "hide", brought: "bring", bought: "buy", sought: "seek",
+  taught: "teach", thought: "think", caught: "catch", fought: "fight",
+  kept: "keep", slept: "sleep", wept: "weep", dwelt: "dwell", spent: "spend",
+  sent: "send", built: "build", felt: "feel", found: "find", bound: "bind",
+  heard: "hear", told: "tell", sold: "sell", held: "hold", led: "lead",
+  fed: "feed", fled: "flee", met: "meet", paid: "pay", stole: "steal",
+  stolen: "steal", understood: "understand", withstood: "withstand",
+  overcame: "overcome", began: "begin", begun: "begin", bade: "bid",
+  bidden: "bid", drove: "drive", driven: "drive", strove: "strive",
+  striven: "strive", trod: "tread", trodden: "tread", stricken: "strike",
+  struck: "strike", shook: "shake", shaken: "shake", threw: "throw",
+  thrown: "throw", grew: "grow", grown: "grow", blew: "blow", flew: "fly",
+  forbade: "forbid", forbidden: "forbid", foreknew: "foreknow",
+
+  // Irregular plurals
+  children: "child", men: "man", women: "woman", brethren: "brother",
+  feet: "foot", teeth: "tooth", oxen: "ox"
+};
+
+// Words ending in -eth/-est that are not verb forms
+const EN_NOT_ARCHAIC = new Set([
+  "japheth", "nazareth", "elisabeth", "elizabeth", "seth", "heth", "beth",
+  "priest", "forest", "honest", "harvest", "interest", "manifest", "modest",
+  "request", "conquest", "tempest", "earnest", "behest", "protest", "digest",
+  "attest", "contest", "detest", "molest", "invest", "infest", "arrest", "wrest",
+  "guest", "quest", "chest", "crest"
+]);
+
+// "loveth" -> "loving", "seeth" -> "see", "knowest" -> "knowing"
+function archaicEnding(w) {
+  if (EN_NOT_ARCHAIC.has(w)) return w;
+  if (/ee(th|st)$/.test(w)) return w.slice(0, -2);
+  const m = /^(.+?)(eth|est)$/.exec(w);
+  if (!m || m[1].length < 2) return w;
+  return m[1] + "ing";
+}
+
+/* Porter stemmer (M. F. Porter, 1980) */
+
+function isCons(s, i) {
+  const c = s[i];
+  if ("aeiou".includes(c)) return false;
+  if (c === "y") return i === 0 || !isCons(s, i - 1);
+  return true;
+}
+
+// m in [C](VC){m}[V]
+function measure(s) {
+  let n = 0;
+  let i = 0;
+  while (i < s.length && isCons(s, i)) i++;
+  while (i < s.length) {
+    while (i < s.length && !isCons(s, i)) i++;
+    if (i >= s.length) break;
+    while (i < s.length && isCons(s, i)) i++;
+    n++;
+  }
+  return n;
+}
+
+function hasVowel(s) {
+  for (let i = 0; i < s.length; i++) if (!isCons(s, i)) return true;
+  return false;
+}
+
+function endsDouble(s) {
+  const n = s.length;
+  return n >= 2 && s[n - 1] === s[n - 2] && isCons(s, n - 1);
+}
+
+// consonant-vowel-consonant, the last not w, x or y
+function endsCvc(s) {
+  const n = s.length;
+  return n >= 3 && isCons(s, n - 3) && !isCons(s, n - 2) && isCons(s, n - 1) && !"wxy".includes(s[n - 1]);
+}
+
+// Replaces the longest suffix of rules that w ends in, if the rest passes ok
+function replaceSuffix(w, rules, ok) {
+  for (const [suffix, repl] of rules) {
+    if (!w.endsWith(suffix)) continue;
+    const stem = w.slice(0, -suffix.length);
+    return ok(stem, suffix) ? stem + repl : w;
+  }
+  return w;
+}
+
+const byLength = (rules) => rules.sort((a, b) => b[0].length - a[0].length);
+
+const STEP2 = byLength([
+  ["ational", "ate"], ["tional", "tion"], ["enci", "ence"], ["anci", "ance"],
+  ["izer", "ize"], ["abli", "able"], ["alli", "al"], ["entli", "ent"],
+  ["eli", "e"], ["ousli", "ous"], ["ization", "ize"], ["ation", "ate"],
+  ["ator", "ate"], ["alism", "al"], ["iveness", "ive"], ["fulness", "ful"],
+  ["ousness", "ous"], ["aliti", "al"], ["iviti", "ive"], ["biliti", "ble"]
+]);
+
+const STEP3 = byLength([
+  ["icate", "ic"], ["ative", ""], ["alize", "al"], ["iciti", "ic"],
+  ["ical", "ic"], ["ful", ""], ["ness", ""]
+]);
+
+const STEP4 = byLength([
+  "al", "ance", "ence", "er", "ic", "able", "ible", "ant", "ement", "ment",
+  "ent", "ion", "ou", "ism", "ate", "iti", "ous", "ive", "ize"
+].map(s => [s, ""]));
+
+function porter(word) {
+  let w = word;
+  if (w.length <= 2) return w;
+
+  // 1a
+  if (w.endsWith("sses")) w = w.slice(0, -2);
+  else if (w.endsWith("ies")) w = w.slice(0, -2);
+  else if (!w.endsWith("ss") && w.endsWith("s")) w = w.slice(0, -1);
+
+  // 1b
+  if (w.endsWith("eed")) {
+    if (measure(w.slice(0, -3)) > 0) w = w.slice(0, -1);
+  } else {
+    const m = /^(.*?)(ed|ing)$/.exec(w);
+    if (m && hasVowel(m[1])) {
+      w = m[1];
+      if (/(at|bl|iz)$/.test(w)) w += "e";
+      else if (endsDouble(w) && !/[lsz]$/.test(w)) w = w.slice(0, -1);
+      else if (measure(w) === 1 && endsCvc(w)) w += "e";
+    }
+  }
+
+  // 1c
+  if (w.endsWith("y") && hasVowel(w.slice(0, -1))) w = w.slice(0, -1) + "i";
+
+  w = replaceSuffix(w, STEP2, (stem) => measure(stem) > 0);
+  w = replaceSuffix(w, STEP3, (stem) => measure(stem) > 0);
+  // -ion only after s or t
+  w = replaceSuffix(w, STEP4, (stem, suffix) => measure(stem) > 1 && (suffix !== "ion" || /[st]$/.test(stem)));
+
+  // 5a
+  if (w.endsWith("e")) {
+    const stem = w.slice(0, -1);
+    const m = measure(stem);
+    if (m > 1 || (m === 1 && !endsCvc(stem))) w = stem;
+  }
+
+  // 5b
+  if (measure(w) > 1 && endsDouble(w) && w.endsWith("l")) w = w.slice(0, -1);
+
+  return w;
+}
+
+function englishStem(term) {
+  if (!/^[a-z]+$/.test(term)) return term;
+  const base = EN_FORMS[term] || archaicEnding(term);
+  return porter(EN_FORMS[base] || base);
+}
+
+/* --------------------------------- Spanish --------------------------------- */
+
+// Light stemmer on accent-folded words: plural, then the final vowel
+function spanishStem(term) {
+  let w = term;
+  if (w.length < 4) return w;
+  if (w.endsWith("ces")) w = w.slice(0, -3) + "z";
+  else if (/[^aeiou]es$/.test(w) && w.length > 4) w = w.slice(0, -2);
+  else if (/[aeiou]s$/.test(w) && w.length > 4) w = w.slice(0, -1);
+  if (w.length > 3 && /[aeo]$/.test(w)) w = w.slice(0, -1);
+  return w;
+}
+
+/* ---------------------------------- API ---------------------------------- */
+
+const STEMMERS = { en: englishStem, es: spanishStem };
+
+/**
+ * term -> stem function for a BCP 47 language tag (null when there is none).
+ */
+export function stemmerFor(language) {
+  const primary = String(language || "").toLowerCase().split(/[-_]/)[0];
+  return STEMMERS[primary] || null;
+}
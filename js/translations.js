@@ -0,0 +1,204 @@
+/**
+ * translations.js
+ * -----------------------------------------------------------------------------
+ * Translation registry (single source of truth for which Bibles exist)
+ *
+ * Loaded once at boot from data/translations.json. Each entry:
+ *
+ *   {
+ *     "id": "KJV",                      // code stored with bookmarks/styles
+ *     "label": "KJV (English)",         // shown in #translationSelect
+ *     "language": "en",                 // BCP 47 language tag
+ *     "format": "book-number-xml",      // parser used by importKJV.js
+ *     "file": "./data/EnglishKJBible.xml",
+ *     "store": "kjv_verses",            // optional, derived from id if omitted
+ *     "aliases": ["KJV1769"],           // optional, older ids that map here
+ *     "versification": "kjv",           // optional, numbering scheme (versification.js)
+ *     "canon": "protestant"             // optional, book list and order (books.js)
+ *   }
+ *
+ * Adding a translation only means adding an entry (and its file) here.
+ * db.js creates the verse stores, the service worker precaches the files.
+ *
+ * User translations (imported from a local file in Settings) live in the
+ * same registry with source: "user". Their entries are kept in the settings
+ * store and their verses only in IndexedDB; they have no "file" URL.
+ * -----------------------------------------------------------------------------
+ */
+
+import { registerVerseStores, unregisterVerseStores, stores, getOne, putOne } from "./db.js";
+import { DEFAULT_SCHEME, isScheme } from "./versification.js";
+import { DEFAULT_CANON, isCanon } from "./books.js";
+
+export const REGISTRY_URL = "./data/translations.json";
+
+export const DEFAULT_FORMAT = "book-number-xml";
+
+// Settings key holding the user-added registry entries
+const USER_TRANSLATIONS_KEY = "userTranslations";
+
+// Used only when the manifest cannot be fetched (e.g. first run while offline)
+const FALLBACK_TRANSLATIONS = [
+  {
+    id: "KJV",
+    label: "KJV (English)",
+    language: "en",
+    format: DEFAULT_FORMAT,
+    file: "./data/EnglishKJBible.xml"
+  }
+];
+
+let _translations = [];
+
+/**
+ * Store name for a translation id: "NVI-ES" -> "nvi_es_verses".
+ * Matches the names used before the registry existed, so old data is kept.
+ */
+export function storeNameFor(id) {
+  const slug = String(id || "").toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+  return `${slug}_verses`;
+}
+
+function normalizeEntry(raw, source = "registry") {
+  const id = String(raw?.id || "").trim();
+  if (!id) return null;
+
+  // User stores get a prefix so they never collide with a future manifest entry
+  const defaultStore = source === "user" ? `user_${storeNameFor(id)}` : storeNameFor(id);
+
+  return {
+    id,
+    label: String(raw.label || id),
+    language: String(raw.language || "en"),
+    format: String(raw.format || DEFAULT_FORMAT),
+    file: source === "user" ? "" : (raw.file ? String(raw.file) : ""),
+    store: raw.store ? String(raw.store) : defaultStore,
+    aliases: Array.isArray(raw.aliases) ? raw.aliases.map(String) : [],
+    versification: isScheme(raw.versification) ? raw.versification : DEFAULT_SCHEME,
+    canon: isCanon(raw.canon) ? raw.canon : DEFAULT_CANON,
+    source
+  };
+}
+
+async function fetchManifest(url) {
+  try {
+    const res = await fetch(url);
+    if (!res.ok) return null;
+    const json = await res.json();
+    return Array.isArray(json) ? json : json?.translations || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Loads the manifest and registers every translation's verse store with db.js.
+ * Call before openDb() so the schema contains all stores.
+ */
+export async function loadTranslationRegistry(url = REGISTRY_URL) {
+  const entries = await fetchManifest(url);
+  const source = entries && entries.length ? entries : FALLBACK_TRANSLATIONS;
+
+  const seen = new Set();
+  _translations = [];
+  for (const raw of source) {
+    const t = normalizeEntry(raw);
+    if (!t || seen.has(t.id.toUpperCase())) continue;
+    seen.add(t.id.toUpperCase());
+    _translations.push(t);
+  }
+
+  registerVerseStores(_translations.map(t => t.store));
+  return listTranslations();
+}
+
+export function listTranslations() {
+  return _translations.slice();
+}
+
+/**
+ * Case-insensitive lookup by id or alias. Returns null for unknown ids.
+ */
+export function getTranslation(id) {
+  const want = String(id || "").trim().toUpperCase();
+  if (!want) return null;
+
+  return _translations.find(t =>
+    t.id.toUpperCase() === want || t.aliases.some(a => a.toUpperCase() === want)
+  ) || null;
+}
+
+export function defaultTranslation() {
+  return _translations[0] || null;
+}
+
+export function storeForTranslation(id) {
+  const t = getTranslation(id);
+  return t ? t.store : "";
+}
+
+/* ------------------------- User translations ------------------------- */
+
+/**
+ * Returns an error message for an unusable id, or "" when it is fine.
+ */
+export function validateTranslationId(id) {
+  const v = String(id || "").trim();
+  if (!v) return "Enter a short ID for the translation.";
+  if (!/^[A-Za-z0-9][A-Za-z0-9_-]{0,15}$/.test(v)) {
+    return "IDs use letters, numbers, - or _ (up to 16 characters).";
+  }
+  if (getTranslation(v)) return `A translation with ID "${v}" already exists.`;
+  return "";
+}
+
+function addUserEntry(raw) {
+  const t = normalizeEntry(raw, "user");
+  if (!t || getTranslation(t.id)) return null;
+  if (_translations.some(x => x.store === t.store)) return null;
+
+  _translations.push(t);
+  registerVerseStores([t.store]);
+  return t;
+}
+
+/**
+ * Adds the persisted user translations to the registry.
+ * Call after the first openDb(), then openDb() again to create any missing store.
+ */
+export async function loadUserTranslations(db) {
+  const row = await getOne(db, stores().SETTINGS, USER_TRANSLATIONS_KEY);
+  const list = Array.isArray(row?.value) ? row.value : [];
+  for (const raw of list) addUserEntry(raw);
+  return listTranslations();
+}
+
+/**
+ * Adds a user translation to the in-memory registry (not persisted yet).
+ * Throws if the id is invalid or taken.
+ */
+export function registerUserTranslation({ id, label, language, format, versification, canon }) {
+  const err = validateTranslationId(id);
+  if (err) throw new Error(err);
+
+  const t = addUserEntry({ id: String(id).trim(), label, language, format: format || DEFAULT_FORMAT, versification, canon });
+  if (!t) throw new Error(`Could not register "${id}".`);
+  return t;
+}
+
+export function unregisterTranslation(id) {
+  const t = getTranslation(id);
+  if (!t) return false;
+  _translations = _translations.filter(x => x !== t);
+  if (!_translations.some(x => x.store === t.store)) unregisterVerseStores([t.store]);
+  return true;
+}
+
+export async function saveUserTranslations(db) {
+  const value = _translations
+    .filter(t => t.source === "user")
+    .map(({ id, label, language, format, store, versification, canon }) => ({
+      id, label, language, format, store, versification, canon
+    }));
+  await putOne(db, stores().SETTINGS, { key: USER_TRANSLATIONS_KEY, value });
+}
@@ -0,0 +1,131 @@
+/**
+ * transliterate.js
+ * -----------------------------------------------------------------------------
+ * Latin transliteration of Greek and pointed Hebrew words, for the
+ * interlinear view when the source gives none (OSIS xlit, USX translit).
+ *
+ * Roughly SBL style ("λόγος" -> "logos", "בְּרֵאשִׁית" -> "berēʼshît"):
+ * - Greek: accents dropped, η -> ē, ω -> ō, rough breathing -> h, υ -> y
+ *   except in diphthongs, γ before γ/κ/ξ/χ -> n
+ * - Hebrew: consonants, vowel points and the common vowel letters (וֹ, וּ,
+ *   י after i/e); begadkefat letters are hard with a dagesh. Cantillation
+ *   is ignored; sheva is written "e".
+ * Other characters pass through unchanged.
+ * -----------------------------------------------------------------------------
+ */
+
+/* ---------------------------------- Greek ---------------------------------- */
+
+const GREEK = {
+  α: "a", β: "b", γ: "g", δ: "d", ε: "e", ζ: "z", η: "ē", θ: "th", ι: "i",
+  κ: "k", λ: "l", μ: "m", ν: "n", ξ: "x", ο: "o", π: "p", ρ: "r", σ: "s",
+  ς: "s", τ: "t", υ: "y", φ: "ph", χ: "ch", ψ: "ps", ω: "ō"
+};
+
+const ROUGH = "\u0314";
+const GREEK_WORD = /[\u0370-\u03FF\u1F00-\u1FFF][\u0370-\u03FF\u1F00-\u1FFF\u0300-\u036F]*/g;
+
+function greekWord(word) {
+  const chars = Array.from(word.normalize("NFD"));
+  const rough = chars.includes(ROUGH);
+  const letters = chars.filter(ch => !/[\u0300-\u036F]/.test(ch));
+
+  let out = "";
+  for (let i = 0; i < letters.length; i++) {
+    const ch = letters[i];
+    const lower = ch.toLowerCase();
+    const prev = (letters[i - 1] || "").toLowerCase();
+    const next = (letters[i + 1] || "").toLowerCase();
+
+    let t = GREEK[lower] ?? ch;
+    if (lower === "γ" && "γκξχ".includes(next) && next) t = "n";
+    if (lower === "υ" && "αεηο".includes(prev) && prev) t = "u";
+    if (lower === "υ" && next === "ι") t = "u";
+    if (ch !== lower) t = t.charAt(0).toUpperCase() + t.slice(1);
+    out += t;
+  }
+
+  if (!rough || !out) return out;
+  // ῥῆμα -> rhēma; ὁ -> ho; Ἁβραάμ -> Habraam
+  if (/^r/i.test(out)) return out.charAt(0) + "h" + out.slice(1);
+  const upper = out.charAt(0) !== out.charAt(0).toLowerCase();
+  return (upper ? "H" : "h") + (upper ? out.charAt(0).toLowerCase() : out.charAt(0)) + out.slice(1);
+}
+
+/* --------------------------------- Hebrew --------------------------------- */
+
+const HEBREW = {
+  "א": "ʼ", "ב": "v", "ג": "g", "ד": "d", "ה": "h", "ו": "v", "ז": "z",
+  "ח": "ch", "ט": "t", "י": "y", "כ": "kh", "ך": "kh", "ל": "l", "מ": "m",
+  "ם": "m", "נ": "n", "ן": "n", "ס": "s", "ע": "ʻ", "פ": "ph", "ף": "ph",
+  "צ": "ts", "ץ": "ts", "ק": "q", "ר": "r", "ש": "sh", "ת": "t"
+};
+
+// Hard forms after a dagesh
+const HARD = { "ב": "b", "כ": "k", "ך": "k", "פ": "p", "ף": "p" };
+
+// Vowel points: sheva, hatefs, hiriq, tsere, segol, patah, qamats, holam, qubuts
+const POINTS = {
+  "\u05B0": "e", "\u05B1": "e", "\u05B2": "a", "\u05B3": "o", "\u05B4": "i",
+  "\u05B5": "ē", "\u05B6": "e", "\u05B7": "a", "\u05B8": "ā", "\u05B9": "ō",
+  "\u05BA": "ō", "\u05BB": "u", "\u05C7": "o"
+};
+
+const DAGESH = "\u05BC";
+const SIN_DOT = "\u05C2";
+const HOLAM = "\u05B9";
+const MAQAF = "\u05BE";
+
+const HEBREW_WORD = /[\u0591-\u05F4]+/g;
+
+function hebrewWord(word) {
+  // letter + its points
+  const clusters = [];
+  for (const ch of word) {
+    if (HEBREW[ch]) clusters.push({ letter: ch, marks: "" });
+    else if (ch === MAQAF) clusters.push({ letter: "-", marks: "" });
+    else if (clusters.length) clusters[clusters.length - 1].marks += ch;
+  }
+
+  let out = "";
+  clusters.forEach((c, i) => {
+    if (c.letter === "-") {
+      out += "-";
+      return;
+    }
+
+    const vowels = Array.from(c.marks).filter(m => POINTS[m]);
+    const vowel = vowels.map(m => POINTS[m]).join("");
+    const hasPrev = i > 0 && clusters[i - 1].letter !== "-";
+
+    // Vowel letters: וֹ -> ô, וּ -> û, י after i/e -> î/ê
+    if (c.letter === "ו" && hasPrev && vowels.length === 1 && vowels[0] === HOLAM) {
+      out += "ô";
+      return;
+    }
+    if (c.letter === "ו" && hasPrev && !vowels.length && c.marks.includes(DAGESH)) {
+      out += "û";
+      return;
+    }
+    if (c.letter === "י" && !vowels.length && /[iēe]$/.test(out)) {
+      out = out.slice(0, -1) + { i: "î", ē: "ê", e: "ê" }[out.slice(-1)];
+      return;
+    }
+
+    let cons = HEBREW[c.letter];
+    if (c.marks.includes(DAGESH) && HARD[c.letter]) cons = HARD[c.letter];
+    if (c.letter === "ש" && c.marks.includes(SIN_DOT)) cons = "s";
+
+    out += cons + vowel;
+  });
+
+  return out;
+}
+
+/* ---------------------------------- API ---------------------------------- */
+
+export function transliterate(text) {
+  return String(text || "")
+    .replace(HEBREW_WORD, hebrewWord)
+    .replace(GREEK_WORD, greekWord);
+}
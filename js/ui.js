@@ -4,6 +4,8 @@
  * Rendering + small UI helpers
  */
 
+import { transliterate } from "./transliterate.js";
+
 export function setNetStatus(el){
   const update = () => {
     el.textContent = navigator.onLine ? "online" : "offline";
@@ -25,27 +27,171 @@ function colorClass(color){
 }
 
 /**
- * verses: [{book,chapter,verse,text, style?}]
+ * Fills el with text, wrapping inline spans ([{ type, start, end }], see
+ * formats/common.js) in <span class="mk-<type>">. Nested spans share one
+ * element per run of text, with one class per type.
+ * Strong's-tagged words ([{ start, end, strong, … }]) get class "sw" and
+ * data-strong="H430 H853". Search matches (hits: [{ start, end }]) are
+ * <mark> elements.
+ */
+export function renderVerseText(el, text, spans, words, hits){
+  el.textContent = "";
+  if (!spans?.length && !words?.length && !hits?.length) {
+    el.textContent = text;
+    return;
+  }
+
+  spans = spans || [];
+  words = words || [];
+  hits = hits || [];
+  const cuts = new Set([0, text.length]);
+  for (const s of [...spans, ...words, ...hits]) {
+    cuts.add(Math.max(0, Math.min(text.length, s.start)));
+    cuts.add(Math.max(0, Math.min(text.length, s.end)));
+  }
+  const points = Array.from(cuts).sort((a, b) => a - b);
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    const piece = text.slice(a, b);
+    const types = spans.filter(s => s.start <= a && s.end >= b).map(s => s.type);
+    const word = words.find(w => w.start <= a && w.end >= b && w.strong.length);
+    const hit = hits.some(h => h.start <= a && h.end >= b);
+
+    if (!types.length && !word && !hit) {
+      el.appendChild(document.createTextNode(piece));
+      continue;
+    }
+
+    const span = document.createElement(hit ? "mark" : "span");
+    span.className = types.map(t => `mk-${t}`).join(" ");
+    if (word) {
+      span.classList.add("sw");
+      span.dataset.strong = word.strong.join(" ");
+    }
+    span.textContent = piece;
+    el.appendChild(span);
+  }
+}
+
+/**
+ * Interlinear form of a verse with row.words: one stacked block per source
+ * word (word, transliteration, morphology, English gloss). Punctuation
+ * between words stays with the word before it; untagged words get a block
+ * of their own. The gloss comes from
+ * the source, else from lexicon (data/lexicon.json) by Strong's number.
+ */
+export function renderInterlinear(el, v, lexicon = {}){
+  el.textContent = "";
+  el.classList.add("interlinear");
+  el.dir = "auto";
+
+  const line = (cls, value) => {
+    const d = document.createElement("span");
+    d.className = cls;
+    d.textContent = value || "\u00A0";
+    return d;
+  };
+
+  let last = null;
+  let pos = 0;
+  const words = (v.words || []).slice().sort((a, b) => a.start - b.start);
+
+  const between = (str) => {
+    let t = str.trim();
+    const punct = last ? t.match(/^[^\p{L}\p{N}\s]+/u) : null;
+    if (punct) {
+      last.firstChild.textContent += punct[0];
+      t = t.slice(punct[0].length).trim();
+    }
+    if (!t) return;
+    el.appendChild(line("il-plain", t));
+    last = null;
+  };
+
+  for (const w of words) {
+    between(v.text.slice(pos, w.start));
+
+    const surface = v.text.slice(w.start, w.end);
+    const gloss = w.gloss || w.strong.map(id => lexicon[id]?.gloss).filter(Boolean)[0] || "";
+
+    const block = document.createElement("span");
+    block.className = "il-word";
+    if (w.strong.length) {
+      block.classList.add("sw");
+      block.dataset.strong = w.strong.join(" ");
+    }
+    block.appendChild(line("il-text", surface));
+    block.appendChild(line("il-translit", w.xlit || transliterate(surface)));
+    block.appendChild(line("il-morph", w.morph || ""));
+    block.appendChild(line("il-gloss", gloss));
+    if (w.strong.length) block.appendChild(line("il-strong", w.strong.join(" ")));
+
+    el.appendChild(block);
+    last = block;
+    pos = w.end;
+  }
+
+  between(v.text.slice(pos));
+}
+
+function headingElement(h, verse){
+  const el = document.createElement("div");
+  const type = String(h.type || "section").replace(/[^A-Za-z0-9-]/g, "");
+  el.className = `verse-heading heading-${type}`;
+  if (h.level > 1) el.classList.add(`heading-l${Math.min(4, h.level)}`);
+  el.dataset.verse = String(verse);
+  el.textContent = h.text;
+  return el;
+}
+
+// "q1", "q2", … (poetry) and "m"/"pi"… get their own class; the rest is "p"
+function paraClass(marker){
+  const m = String(marker || "p").replace(/[^A-Za-z0-9]/g, "");
+  return m ? `para-${m}` : "para-p";
+}
+
+/**
+ * verses: [{book,chapter,verse,text, spans?, para?, style?}]
  * options:
  * - selectedKey: string
+ * - range: [from, to] verse numbers shown as selected along with selectedKey
  * - onSelect(verseObj)
+ * - headings: Map(verse -> [{ type, level?, text }]) shown before the verse
+ * - prose: run verses together as paragraphs with inline verse numbers
+ *   (a paragraph starts at a heading or a verse with para set)
+ * - interlinear: lexicon object (or {}) to show tagged verses word by word
+ *   (renderInterlinear); verses without row.words render as usual
+ * - onWord(verseObj, ["H430", …]): tapping a Strong's-tagged word of the
+ *   selected verse calls this instead of onSelect (the first tap selects);
+ *   without it tagged words render as plain text
  */
 export function renderVerses(container, verses, options = {}){
-  const { selectedKey = "", onSelect = null } = options;
+  const { selectedKey = "", range = null, onSelect = null, headings = null, onWord = null, interlinear = null } = options;
+  const prose = !!options.prose && !interlinear;
 
   container.innerHTML = "";
+  container.classList.toggle("prose", prose);
+  container.classList.toggle("interlinear-mode", !!interlinear);
   const frag = document.createDocumentFragment();
+  let para = null;
 
   for (const v of verses) {
     const st = v.style || null;
+    const heads = headings?.get(v.verse) || [];
 
-    const row = document.createElement("div");
+    for (const h of heads) frag.appendChild(headingElement(h, v.verse));
+
+    const row = document.createElement(prose ? "span" : "div");
     row.className = "verse";
 
     const key = `${v.book}|${v.chapter}|${v.verse}`;
     row.dataset.key = key;
 
     if (key === selectedKey) row.classList.add("selected");
+    else if (range && v.verse >= range[0] && v.verse <= range[1]) row.classList.add("in-range");
+    if (v.para || heads.length) row.classList.add("para-start");
 
     // Verse bookmark visual
     if (st?.bookmarked) row.classList.add("bookmarked");
@@ -58,7 +204,7 @@ export function renderVerses(container, verses, options = {}){
     if (st?.underline) row.classList.add("underline");
     if (st?.bold) row.classList.add("bold");
 
-    const num = document.createElement("div");
+    const num = document.createElement(prose ? "sup" : "div");
     num.className = "verse-num";
     num.textContent = String(v.verse);
 
@@ -71,23 +217,66 @@ export function renderVerses(container, verses, options = {}){
       num.appendChild(badge);
     }
 
-    const text = document.createElement("div");
+    const text = document.createElement(prose ? "span" : "div");
     text.className = "verse-text";
-    text.textContent = v.text;
+    if (interlinear && v.words?.length) renderInterlinear(text, v, interlinear);
+    else renderVerseText(text, v.text, v.spans, onWord ? v.words : null);
 
     row.appendChild(num);
     row.appendChild(text);
 
-    row.addEventListener("click", () => {
+    row.addEventListener("click", (e) => {
+      const word = onWord && row.classList.contains("selected") && e.target.closest?.(".sw");
+      if (word) {
+        onWord(v, word.dataset.strong.split(" "));
+        return;
+      }
       if (typeof onSelect === "function") onSelect(v);
     });
 
-    frag.appendChild(row);
+    if (prose) {
+      if (!para || v.para || heads.length) {
+        para = document.createElement("p");
+        para.className = `para ${paraClass(v.para)}`;
+        frag.appendChild(para);
+      }
+      para.appendChild(row);
+      para.appendChild(document.createTextNode(" "));
+    } else {
+      frag.appendChild(row);
+    }
   }
 
   container.appendChild(frag);
 }
 
+/**
+ * The word of text under the point (client coordinates), "" if none. Works
+ * after the element under it was re-rendered, unlike the page selection.
+ */
+export function wordAtPoint(x, y){
+  let node = null;
+  let offset = 0;
+  if (document.caretPositionFromPoint) {
+    const pos = document.caretPositionFromPoint(x, y);
+    node = pos?.offsetNode;
+    offset = pos?.offset || 0;
+  } else if (document.caretRangeFromPoint) {
+    const range = document.caretRangeFromPoint(x, y);
+    node = range?.startContainer;
+    offset = range?.startOffset || 0;
+  }
+  if (!node || node.nodeType !== Node.TEXT_NODE) return "";
+
+  const text = node.textContent;
+  const isWord = (ch) => /[\p{L}\p{M}\p{N}]/u.test(ch || "");
+  let start = offset;
+  let end = offset;
+  while (start > 0 && isWord(text[start - 1])) start--;
+  while (end < text.length && isWord(text[end])) end++;
+  return text.slice(start, end);
+}
+
 /**
  * items: [{ title, subtitle, actionText, onAction }]
  */
@@ -0,0 +1,279 @@
+/**
+ * versification.js
+ * -----------------------------------------------------------------------------
+ * Verse numbering schemes and reference mapping between them.
+ *
+ * Verse stores keep the numbering of their source ("Book|chapter|verse"), so
+ * the same key can name different verses in two translations. Each registry
+ * entry is tagged with a scheme (translations.js, "versification"), and a
+ * reference that moves from one translation to another goes through
+ * mapVerse(ref, fromScheme, toScheme).
+ *
+ * Schemes (KJV is the pivot every other scheme maps to):
+ * - "kjv"     English Bibles: KJV, ESV, NIV, … and Spanish Reina-Valera / NVI
+ * - "hebrew"  Masoretic numbering (BHS, JPS, most modern Catholic editions such
+ *             as the Biblia de Jerusalén): Psalm titles counted as verses,
+ *             Joel 4 chapters, Malachi 3 chapters, other chapter splits
+ * - "vulgate" Greek/Latin Psalm numbering (LXX, Vulgate, Douay-Rheims,
+ *             Torres Amat); other books as in "kjv"
+ *
+ * Rules are written scheme -> base as "Book c:v1-v2 = c:v". A rule maps the
+ * range onto consecutive verses starting at c:v; "*" as v2 means to the end of
+ * the chapter. Verses no rule covers keep their number. Splits inside a
+ * verse (e.g. 1 Samuel 20:42a/b) map to the verse holding most of the text.
+ * -----------------------------------------------------------------------------
+ */
+
+import { CHAPTER_COUNTS, FIRST_CHAPTER } from "./books.js";
+
+export const DEFAULT_SCHEME = "kjv";
+
+const END = 999;
+
+// Hebrew -> KJV
+const HEBREW_RULES = `
+Genesis 32:1 = 31:55
+Genesis 32:2-* = 32:1
+Exodus 7:26-29 = 8:1
+Exodus 8:1-* = 8:5
+Exodus 21:37 = 22:1
+Exodus 22:1-* = 22:2
+Leviticus 5:20-26 = 6:1
+Leviticus 6:1-* = 6:8
+Numbers 17:1-15 = 16:36
+Numbers 17:16-* = 17:1
+Numbers 30:1 = 29:40
+Numbers 30:2-* = 30:1
+Deuteronomy 13:1 = 12:32
+Deuteronomy 13:2-* = 13:1
+Deuteronomy 23:1 = 22:30
+Deuteronomy 23:2-* = 23:1
+Deuteronomy 28:69 = 29:1
+Deuteronomy 29:1-* = 29:2
+1 Samuel 21:1 = 20:42
+1 Samuel 21:2-* = 21:1
+1 Samuel 24:1 = 23:29
+1 Samuel 24:2-* = 24:1
+2 Samuel 19:1 = 18:33
+2 Samuel 19:2-* = 19:1
+1 Kings 5:1-14 = 4:21
+1 Kings 5:15-* = 5:1
+2 Kings 12:1 = 11:21
+2 Kings 12:2-* = 12:1
+1 Chronicles 5:27-41 = 6:1
+1 Chronicles 6:1-* = 6:16
+2 Chronicles 1:18 = 2:1
+2 Chronicles 2:1-* = 2:2
+2 Chronicles 13:23 = 14:1
+2 Chronicles 14:1-* = 14:2
+Nehemiah 3:33-38 = 4:1
+Nehemiah 4:1-* = 4:7
+Nehemiah 10:1 = 9:38
+Nehemiah 10:2-* = 10:1
+Job 40:25-32 = 41:1
+Job 41:1-* = 41:9
+Ecclesiastes 4:17 = 5:1
+Ecclesiastes 5:1-* = 5:2
+Song of Solomon 7:1 = 6:13
+Song of Solomon 7:2-* = 7:1
+Isaiah 8:23 = 9:1
+Isaiah 9:1-* = 9:2
+Isaiah 64:1-* = 64:2
+Jeremiah 8:23 = 9:1
+Jeremiah 9:1-* = 9:2
+Ezekiel 21:1-5 = 20:45
+Ezekiel 21:6-* = 21:1
+Daniel 3:31-33 = 4:1
+Daniel 4:1-* = 4:4
+Daniel 6:1 = 5:31
+Daniel 6:2-* = 6:1
+Hosea 2:1-2 = 1:10
+Hosea 2:3-* = 2:1
+Hosea 12:1 = 11:12
+Hosea 12:2-* = 12:1
+Hosea 14:1 = 13:16
+Hosea 14:2-* = 14:1
+Joel 3:1-5 = 2:28
+Joel 4:1-* = 3:1
+Jonah 2:1 = 1:17
+Jonah 2:2-* = 2:1
+Micah 4:14 = 5:1
+Micah 5:1-* = 5:2
+Nahum 2:1 = 1:15
+Nahum 2:2-* = 2:1
+Zechariah 2:1-4 = 1:18
+Zechariah 2:5-* = 2:1
+Malachi 3:19-24 = 4:1
+`;
+
+// Psalms whose title is verse 1 (or verses 1-2) in Hebrew numbering
+const PSALM_TITLE_ONE = [
+  3, 4, 5, 6, 7, 8, 9, 12, 13, 18, 19, 20, 21, 22, 30, 31, 34, 36, 38, 39, 40,
+  41, 42, 44, 45, 46, 47, 48, 49, 53, 55, 56, 57, 58, 59, 61, 62, 63, 64, 65,
+  67, 68, 69, 70, 75, 76, 77, 80, 81, 83, 84, 85, 88, 89, 92, 102, 108, 140, 142
+];
+const PSALM_TITLE_TWO = [51, 52, 54, 60];
+
+// Vulgate/LXX Psalms -> Hebrew Psalms
+const VULGATE_PSALM_RULES = `
+Psalms 9:22-* = 10:1
+Psalms 113:1-8 = 114:1
+Psalms 113:9-* = 115:1
+Psalms 114:1-9 = 116:1
+Psalms 115:1-* = 116:10
+Psalms 146:1-11 = 147:1
+Psalms 147:1-* = 147:12
+`;
+
+function parseRules(table) {
+  const rules = [];
+  for (const line of table.split("\n")) {
+    const m = line.trim().match(/^(.+?) (\d+):(\d+)(?:-(\d+|\*))? = (\d+):(\d+)$/);
+    if (!m) continue;
+    const v1 = Number(m[3]);
+    rules.push({
+      book: m[1],
+      chapter: Number(m[2]),
+      v1,
+      v2: m[4] === "*" ? END : Number(m[4] || v1),
+      toChapter: Number(m[5]),
+      toVerse: Number(m[6])
+    });
+  }
+  return rules;
+}
+
+function psalmTitleRules() {
+  const rules = [];
+  const add = (ps, titleVerses) => {
+    // The title itself has no KJV verse: it maps to the first one
+    rules.push({ book: "Psalms", chapter: ps, v1: 1, v2: titleVerses, toChapter: ps, toVerse: 1, fixed: true });
+    rules.push({ book: "Psalms", chapter: ps, v1: titleVerses + 1, v2: END, toChapter: ps, toVerse: 1 });
+  };
+  PSALM_TITLE_ONE.forEach(ps => add(ps, 1));
+  PSALM_TITLE_TWO.forEach(ps => add(ps, 2));
+  return rules;
+}
+
+function vulgatePsalmRules() {
+  const rules = parseRules(VULGATE_PSALM_RULES);
+  const shift = (from, to) => {
+    for (let ps = from; ps <= to; ps++) {
+      rules.push({ book: "Psalms", chapter: ps, v1: 1, v2: END, toChapter: ps + 1, toVerse: 1 });
+    }
+  };
+  shift(10, 112);
+  shift(116, 145);
+  return rules;
+}
+
+/**
+ * base: scheme the rules map onto; bookBase overrides it per book.
+ * chapters: chapter counts that differ from CHAPTER_COUNTS.
+ */
+const SCHEMES = {
+  kjv: {
+    label: "KJV / English",
+    base: null,
+    rules: [],
+    chapters: {}
+  },
+  hebrew: {
+    label: "Hebrew (Masoretic)",
+    base: "kjv",
+    rules: [...parseRules(HEBREW_RULES), ...psalmTitleRules()],
+    chapters: { Joel: 4, Malachi: 3 }
+  },
+  vulgate: {
+    label: "Greek/Latin Psalms (Vulgate)",
+    base: "kjv",
+    bookBase: { Psalms: "hebrew" },
+    rules: vulgatePsalmRules(),
+    chapters: {}
+  }
+};
+
+export function listSchemes() {
+  return Object.entries(SCHEMES).map(([id, s]) => ({ id, label: s.label }));
+}
+
+export function isScheme(id) {
+  return Object.prototype.hasOwnProperty.call(SCHEMES, id);
+}
+
+function schemeOf(id) {
+  return SCHEMES[id] || SCHEMES[DEFAULT_SCHEME];
+}
+
+function baseFor(scheme, book) {
+  return scheme.bookBase?.[book] || scheme.base;
+}
+
+// scheme -> base
+function down(ref, rules) {
+  for (const r of rules) {
+    if (r.book === ref.book && r.chapter === ref.chapter && ref.verse >= r.v1 && ref.verse <= r.v2) {
+      return { ...ref, chapter: r.toChapter, verse: r.toVerse + (r.fixed ? 0 : ref.verse - r.v1) };
+    }
+  }
+  return ref;
+}
+
+// base -> scheme (many-to-one "fixed" rules only map down)
+function up(ref, rules) {
+  for (const r of rules) {
+    if (r.fixed || r.book !== ref.book || r.toChapter !== ref.chapter) continue;
+    const offset = ref.verse - r.toVerse;
+    if (offset >= 0 && r.v1 + offset <= r.v2) {
+      return { ...ref, chapter: r.chapter, verse: r.v1 + offset };
+    }
+  }
+  return ref;
+}
+
+function toKjv(ref, id) {
+  let cur = ref;
+  let scheme = schemeOf(id);
+  while (scheme.base) {
+    cur = down(cur, scheme.rules);
+    scheme = schemeOf(baseFor(scheme, cur.book));
+  }
+  return cur;
+}
+
+function fromKjv(ref, id) {
+  const scheme = schemeOf(id);
+  if (!scheme.base) return ref;
+  return up(fromKjv(ref, baseFor(scheme, ref.book)), scheme.rules);
+}
+
+/**
+ * { book, chapter, verse } in fromScheme -> the same verse in toScheme.
+ * verse may be omitted (chapter references map through verse 1).
+ */
+export function mapVerse(ref, fromScheme = DEFAULT_SCHEME, toScheme = DEFAULT_SCHEME) {
+  const start = { book: ref.book, chapter: Number(ref.chapter) || 1, verse: Number(ref.verse) || 1 };
+  if ((fromScheme || DEFAULT_SCHEME) === (toScheme || DEFAULT_SCHEME)) return start;
+  return fromKjv(toKjv(start, fromScheme), toScheme);
+}
+
+/**
+ * Number of chapters a book has in a scheme.
+ */
+export function chapterCount(book, schemeId = DEFAULT_SCHEME) {
+  let scheme = schemeOf(schemeId);
+  for (;;) {
+    if (scheme.chapters[book]) return scheme.chapters[book];
+    if (!scheme.base) return CHAPTER_COUNTS[book] || 0;
+    scheme = schemeOf(baseFor(scheme, book));
+  }
+}
+
+/**
+ * Chapter numbers of a book in a scheme ([1, 2, …], or [10, …, 16] for books
+ * that continue another). count overrides the scheme's chapter count.
+ */
+export function chapterNumbers(book, schemeId = DEFAULT_SCHEME, count = chapterCount(book, schemeId)) {
+  const first = FIRST_CHAPTER[book] || 1;
+  return Array.from({ length: count }, (_, i) => first + i);
+}
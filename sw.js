@@ -2,7 +2,11 @@
  * sw.js - safer install + GET-only runtime caching
  */
 
-const CACHE_NAME = "nightlamp-v3"; // bump this when you deploy changes
+const CACHE_NAME = "nightlamp-v28"; // bump this when you deploy changes
+
+// Bible source files are not listed here: they come from the translation
+// registry (data/translations.json) at install time.
+const REGISTRY_URL = "./data/translations.json";
 
 const PRECACHE = [
   "./",
@@ -14,32 +18,64 @@ const PRECACHE = [
   "./js/app.js",
   "./js/db.js",
   "./js/providers.js",
+  "./js/translations.js",
   "./js/ui.js",
   "./js/importKJV.js",
+  "./js/importWorker.js",
+  "./js/importState.js",
+  "./js/books.js",
+  "./js/versification.js",
+  "./js/searchIndex.js",
+  "./js/searchNormalize.js",
+  "./js/searchQuery.js",
+  "./js/searchMatch.js",
+  "./js/searchScope.js",
+  "./js/searchStem.js",
+  "./js/noteSearch.js",
+  "./js/references.js",
+  "./js/concordance.js",
+  "./js/transliterate.js",
+  "./js/formats/common.js",
+  "./js/formats/xmlEvents.js",
+  "./js/formats/bookNumber.js",
+  "./js/formats/osis.js",
+  "./js/formats/usfm.js",
+  "./js/formats/zefania.js",
+  "./js/formats/delimited.js",
 
   "./assets/icon-192.png",
   "./assets/icon-512.png",
 
-  "./data/EnglishKJBible.xml",
-  "./data/EnglishESVBible.xml",
-  "./data/EnglishNIVBible.xml",
-  "./data/EnglishAmplifiedBible.xml",
-  "./data/EnglishAmplifiedClassicBible.xml",
-  "./data/SpanishNVIBible.xml",
+  REGISTRY_URL,
 
   "./data/dive_crossrefs.json",
+  "./data/headings.json",
+  "./data/lexicon.json",
   "./data/dive_explain.json",
   "./data/dive_tags.json",
   
 ];
 
+async function registryFiles() {
+  try {
+    const res = await fetch(REGISTRY_URL);
+    if (!res.ok) return [];
+    const json = await res.json();
+    const list = Array.isArray(json) ? json : (json.translations || []);
+    return list.map((t) => t && t.file).filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
 self.addEventListener("install", (event) => {
   event.waitUntil((async () => {
     const cache = await caches.open(CACHE_NAME);
+    const files = [...PRECACHE, ...(await registryFiles())];
 
     // Tolerant precache: try each file so 1 failure doesn't break install
     await Promise.allSettled(
-      PRECACHE.map((url) => cache.add(url))
+      files.map((url) => cache.add(url))
     );
 
     self.skipWaiting();